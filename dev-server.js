@@ -0,0 +1,215 @@
+/**
+ * Local Development Server
+ *
+ * Serves the whole tree (at / and at /app-switch/, like GitHub Pages) and mocks
+ * the endpoints the experiments depend on, so they run offline and reproducibly:
+ *
+ *   GET  /api/delay/:ms      Respond after :ms milliseconds
+ *                            ?jitter=N   add a random 0..N ms on top of the delay
+ *                            ?fail=P     fail with probability P (0-1)
+ *                            ?status=N   status code used for failures (default 503)
+ *                            ?seed=S     seed jitter and failures for reproducible runs
+ *   GET  /delay/:seconds     httpbin.org-compatible delay
+ *   GET  /api/client-hints   Echo the Sec-CH-* request headers
+ *   GET  /api/detect, /api/report, /server-detection   See webview-detection/server.js
+ *
+ * Usage: node dev-server.js [port] [--reports reports.jsonl]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const DetectionServer = require('./webview-detection/server.js');
+
+const MAX_DELAY_MS = 60000;
+const BASE_PATH = '/app-switch';
+
+/**
+ * Returns a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed Seed value
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a seed string into a 32-bit number
+ * @param {string} value Seed string
+ * @returns {number} Hash
+ */
+function hashSeed(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Seeded generators are kept per seed so a sequence of requests is reproducible
+const generators = {};
+
+/**
+ * Handles a delay request
+ * @param {http.ServerResponse} res Response
+ * @param {number} requestedMs Delay in milliseconds
+ * @param {URLSearchParams} params Query parameters
+ */
+function handleDelay(res, requestedMs, params) {
+    if (isNaN(requestedMs) || requestedMs < 0 || requestedMs > MAX_DELAY_MS) {
+        DetectionServer.sendJson(res, 400, {
+            error: `Invalid delay value. Must be between 0 and ${MAX_DELAY_MS} milliseconds.`
+        });
+        return;
+    }
+
+    let random = Math.random;
+    if (params.has('seed')) {
+        const seed = params.get('seed');
+        generators[seed] = generators[seed] || seededRandom(hashSeed(seed));
+        random = generators[seed];
+    }
+
+    // Node throws on status codes outside 100-599, which would take down the server from the timer
+    const failStatus = params.has('status') ? Number(params.get('status')) : 503;
+    if (!Number.isInteger(failStatus) || failStatus < 100 || failStatus > 599) {
+        DetectionServer.sendJson(res, 400, {
+            error: 'Invalid status value. Must be an HTTP status code between 100 and 599.'
+        });
+        return;
+    }
+
+    const jitter = Math.max(0, parseInt(params.get('jitter'), 10) || 0);
+    const failRate = Math.min(1, Math.max(0, parseFloat(params.get('fail')) || 0));
+
+    const jitterMs = jitter ? Math.round(random() * jitter) : 0;
+    const failed = failRate > 0 && random() < failRate;
+    const delayMs = Math.min(requestedMs + jitterMs, MAX_DELAY_MS);
+    const startedAt = Date.now();
+
+    setTimeout(function() {
+        const completedAt = Date.now();
+        const body = {
+            requestedMs: requestedMs,
+            jitterMs: jitterMs,
+            delayMs: delayMs,
+            actualDelayMs: completedAt - startedAt,
+            startedAt: new Date(startedAt).toISOString(),
+            completedAt: new Date(completedAt).toISOString(),
+            failed: failed
+        };
+
+        if (failed) {
+            body.error = 'Injected failure';
+        }
+        DetectionServer.sendJson(res, failed ? failStatus : 200, body);
+    }, delayMs);
+}
+
+/**
+ * Collects the Sec-CH-* request headers
+ * @param {Object} headers Request headers
+ * @returns {Object} Client hint headers keyed by lower-case name
+ */
+function clientHints(headers) {
+    const hints = {};
+    Object.keys(headers).forEach(function(name) {
+        if (name.toLowerCase().startsWith('sec-ch-')) {
+            hints[name.toLowerCase()] = headers[name];
+        }
+    });
+    return hints;
+}
+
+/**
+ * Creates the development server
+ * @param {Object} options Server options
+ * @param {string} options.root Directory to serve, defaults to this directory
+ * @param {string} options.reportsFile JSONL file to append reports to
+ * @returns {http.Server} The (not yet listening) server
+ */
+function createServer(options = {}) {
+    const root = path.resolve(options.root || __dirname);
+    const routeOptions = {};
+
+    if (options.reportsFile) {
+        routeOptions.onReport = function(report) {
+            fs.appendFile(options.reportsFile, JSON.stringify(report) + '\n', function(error) {
+                if (error) {
+                    console.error('Could not write report:', error);
+                }
+            });
+        };
+    }
+
+    return http.createServer(function(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        // Allow experiments embedded in other origins (e.g. iframes) to call the mocks
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const delayMatch = /^\/api\/delay\/(\d+)$/.exec(url.pathname);
+        if (delayMatch && req.method === 'GET') {
+            handleDelay(res, parseInt(delayMatch[1], 10), url.searchParams);
+            return;
+        }
+
+        const httpbinMatch = /^\/delay\/(\d+(?:\.\d+)?)$/.exec(url.pathname);
+        if (httpbinMatch && req.method === 'GET') {
+            handleDelay(res, Math.round(parseFloat(httpbinMatch[1]) * 1000), url.searchParams);
+            return;
+        }
+
+        if (url.pathname === '/api/client-hints' && req.method === 'GET') {
+            DetectionServer.sendJson(res, 200, clientHints(req.headers));
+            return;
+        }
+
+        if (DetectionServer.handleDetectionRoutes(req, res, routeOptions)) {
+            return;
+        }
+
+        if (url.pathname === BASE_PATH) {
+            res.writeHead(301, { 'Location': BASE_PATH + '/' });
+            res.end();
+            return;
+        }
+
+        const pathname = url.pathname.startsWith(BASE_PATH + '/') ?
+            url.pathname.slice(BASE_PATH.length) : url.pathname;
+        DetectionServer.serveStatic(root, pathname, res);
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const reportsIndex = args.indexOf('--reports');
+    const reportsFile = reportsIndex !== -1 ? args.splice(reportsIndex, 2)[1] : null;
+    const port = parseInt(args[0] || process.env.PORT || '8080', 10);
+
+    createServer({ reportsFile: reportsFile }).listen(port, function() {
+        console.log(`Development server running at http://localhost:${port}${BASE_PATH}/`);
+        if (reportsFile) {
+            console.log(`Appending reports to ${reportsFile}`);
+        }
+    });
+}
+
+module.exports = {
+    createServer: createServer,
+    seededRandom: seededRandom
+};
@@ -0,0 +1,446 @@
+/**
+ * User Activation Timeline
+ *
+ * Records how transient user activation (navigator.userActivation.isActive)
+ * evolves after each user gesture, so gesture-delay experiments produce numbers
+ * instead of a blinking label. Every gesture (key or pointer press) opens a new
+ * timeline; instrument() adds entries around fetch, setTimeout, synchronous XHR
+ * and received postMessages, and markNavigation() records where the Universal
+ * Link navigation happened relative to the moment activation expired.
+ *
+ * All times in a timeline are milliseconds since the gesture.
+ */
+
+const ActivationTimeline = {
+    /**
+     * Default options for start()
+     */
+    defaults: {
+        sampleIntervalMs: 10, // How often to poll isActive while the gesture is active
+        maxSampleMs: 15000, // Stop polling after this long even if activation never expires
+        maxTimelines: 20 // Number of gesture timelines to keep
+    },
+
+    /**
+     * Events that grant transient activation
+     * (https://html.spec.whatwg.org/multipage/interaction.html#activation-triggering-input-event)
+     */
+    triggerEvents: ['keydown', 'mousedown', 'pointerdown', 'pointerup', 'touchend'],
+
+    /**
+     * Trigger events that start a new gesture
+     */
+    gestureStartEvents: ['keydown', 'pointerdown'],
+
+    /**
+     * Recorded timelines, oldest first
+     */
+    timelines: [],
+
+    /**
+     * The timeline of the most recent gesture
+     */
+    current: null,
+
+    _config: null,
+    _listeners: [],
+    _onTrigger: null,
+    _originals: null,
+    _nextId: 1,
+
+    /**
+     * Whether the browser exposes navigator.userActivation
+     * @returns {boolean} True if activation state can be observed
+     */
+    isSupported: function() {
+        return typeof navigator !== 'undefined' && !!navigator.userActivation;
+    },
+
+    /**
+     * Starts opening a timeline for every activation-triggering event
+     * @param {Object} options Options, see ActivationTimeline.defaults
+     * @returns {Object} ActivationTimeline, for chaining
+     */
+    start: function(options = {}) {
+        this._config = Object.assign({}, this.defaults, options);
+        if (this._onTrigger) {
+            return this;
+        }
+
+        this._onTrigger = event => {
+            if (event.type === 'keydown' && event.key === 'Escape') {
+                return;
+            }
+            // A single press fires several trigger events; the press starts the
+            // timeline and the rest are entries in it
+            if (this.current && !this.gestureStartEvents.includes(event.type)) {
+                this.mark(event.type);
+                return;
+            }
+            this.begin(event.type);
+        };
+
+        this.triggerEvents.forEach(type => {
+            window.addEventListener(type, this._onTrigger, true);
+        });
+        return this;
+    },
+
+    /**
+     * Stops listening for gestures and restores instrumented APIs
+     */
+    stop: function() {
+        if (this._onTrigger) {
+            this.triggerEvents.forEach(type => {
+                window.removeEventListener(type, this._onTrigger, true);
+            });
+            this._onTrigger = null;
+        }
+        this.uninstrument();
+        if (this.current) {
+            this._stopSampling(this.current);
+        }
+    },
+
+    /**
+     * Opens a new timeline. start() calls this for every gesture; call it
+     * directly to track activation carried over from a previous page.
+     * @param {string} trigger What started the timeline (event type or label)
+     * @returns {Object} The new timeline
+     */
+    begin: function(trigger) {
+        const config = this._config || this.defaults;
+
+        if (this.current) {
+            this._stopSampling(this.current);
+        }
+
+        const timeline = {
+            id: this._nextId++,
+            trigger: trigger,
+            startedAt: Date.now(),
+            origin: performance.now(),
+            lastActiveAt: null,
+            expiredAt: null,
+            navigation: null,
+            entries: [],
+            _timer: null
+        };
+
+        this.current = timeline;
+        this.timelines.push(timeline);
+        if (this.timelines.length > config.maxTimelines) {
+            this.timelines.shift();
+        }
+
+        this._record(timeline, 'gesture', { trigger: trigger });
+        this._sample(timeline, config);
+        return timeline;
+    },
+
+    /**
+     * Adds an entry to the current timeline
+     * @param {string} label Entry label
+     * @param {Object} detail Extra data to keep with the entry
+     * @returns {Object|null} The entry, or null when no gesture has happened yet
+     */
+    mark: function(label, detail = null) {
+        return this.current ? this._record(this.current, label, detail) : null;
+    },
+
+    /**
+     * Marks the Universal Link navigation. Call it right before navigating.
+     * @param {string} url The URL being opened
+     * @returns {Object|null} The entry, or null when no gesture has happened yet
+     */
+    markNavigation: function(url) {
+        const entry = this.mark('navigation', { url: url });
+        if (entry) {
+            this.current.navigation = { at: entry.at, isActive: entry.isActive, url: url };
+        }
+        return entry;
+    },
+
+    /**
+     * Wraps fetch, setTimeout, XMLHttpRequest and message events so that they
+     * add entries to the current timeline
+     * @returns {Object} ActivationTimeline, for chaining
+     */
+    instrument: function() {
+        if (this._originals) {
+            return this;
+        }
+
+        const self = this;
+        const originals = {
+            fetch: window.fetch,
+            setTimeout: window.setTimeout,
+            xhrOpen: XMLHttpRequest.prototype.open,
+            xhrSend: XMLHttpRequest.prototype.send,
+            onMessage: function(event) {
+                self.mark('message', { origin: event.origin });
+            }
+        };
+        this._originals = originals;
+
+        if (originals.fetch) {
+            window.fetch = function(input, init) {
+                const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+                self.mark('fetch:start', { url: url });
+                return originals.fetch.apply(window, arguments).then(function(response) {
+                    self.mark('fetch:end', { url: url, status: response.status });
+                    return response;
+                }, function(error) {
+                    self.mark('fetch:error', { url: url, error: error.message });
+                    throw error;
+                });
+            };
+        }
+
+        window.setTimeout = function(callback, delay) {
+            if (typeof callback !== 'function') {
+                return originals.setTimeout.apply(window, arguments);
+            }
+            const args = Array.prototype.slice.call(arguments, 2);
+            self.mark('setTimeout:scheduled', { delay: delay || 0 });
+            return originals.setTimeout.call(window, function() {
+                self.mark('setTimeout:fired', { delay: delay || 0 });
+                return callback.apply(this, args);
+            }, delay);
+        };
+
+        XMLHttpRequest.prototype.open = function(method, url, async) {
+            this._activationRequest = { url: String(url), sync: async === false };
+            return originals.xhrOpen.apply(this, arguments);
+        };
+
+        XMLHttpRequest.prototype.send = function() {
+            const request = this._activationRequest || {};
+            const label = request.sync ? 'xhr-sync' : 'xhr';
+            self.mark(`${label}:start`, { url: request.url });
+            if (request.sync) {
+                try {
+                    return originals.xhrSend.apply(this, arguments);
+                } finally {
+                    self.mark(`${label}:end`, { url: request.url, status: this.status });
+                }
+            }
+            this.addEventListener('loadend', () => {
+                self.mark(`${label}:end`, { url: request.url, status: this.status });
+            });
+            return originals.xhrSend.apply(this, arguments);
+        };
+
+        window.addEventListener('message', originals.onMessage, true);
+        return this;
+    },
+
+    /**
+     * Restores the APIs wrapped by instrument()
+     */
+    uninstrument: function() {
+        const originals = this._originals;
+        if (!originals) {
+            return;
+        }
+
+        if (originals.fetch) {
+            window.fetch = originals.fetch;
+        }
+        window.setTimeout = originals.setTimeout;
+        XMLHttpRequest.prototype.open = originals.xhrOpen;
+        XMLHttpRequest.prototype.send = originals.xhrSend;
+        window.removeEventListener('message', originals.onMessage, true);
+        this._originals = null;
+    },
+
+    /**
+     * Summarizes a timeline
+     * @param {Object} timeline Timeline to summarize, defaults to the current one
+     * @returns {Object|null} Summary with expiry and navigation timings
+     */
+    report: function(timeline = this.current) {
+        if (!timeline) {
+            return null;
+        }
+
+        const navigation = timeline.navigation;
+        return {
+            id: timeline.id,
+            trigger: timeline.trigger,
+            startedAt: timeline.startedAt,
+            isActive: timeline.expiredAt === null && this._isActive(),
+            // Activation expired somewhere between the last active and the first inactive observation
+            lastActiveAt: timeline.lastActiveAt,
+            expiredAt: timeline.expiredAt,
+            navigationAt: navigation ? navigation.at : null,
+            activeAtNavigation: navigation ? navigation.isActive : null,
+            // Negative when activation expired before the navigation
+            expiryRelativeToNavigationMs: navigation && timeline.expiredAt !== null ?
+                Math.round((timeline.expiredAt - navigation.at) * 10) / 10 : null,
+            entries: timeline.entries.slice()
+        };
+    },
+
+    /**
+     * Formats a report as plain text, one entry per line
+     * @param {Object} report Report from report()
+     * @returns {string} Text for display
+     */
+    format: function(report) {
+        if (!report) {
+            return 'No gesture recorded yet.';
+        }
+
+        const lines = [
+            `Gesture #${report.id} (${report.trigger})`,
+            `Expired: ${report.expiredAt !== null ? `between ${report.lastActiveAt} and ${report.expiredAt} ms` : 'not yet'}`,
+            `Navigation: ${report.navigationAt !== null ? `${report.navigationAt} ms, ${report.activeAtNavigation ? 'active' : 'inactive'}` : 'none'}`
+        ];
+        if (report.expiryRelativeToNavigationMs !== null) {
+            lines.push(`Expiry relative to navigation: ${report.expiryRelativeToNavigationMs} ms`);
+        }
+        lines.push('');
+
+        report.entries.forEach(function(entry) {
+            const detail = entry.detail ? ' ' + JSON.stringify(entry.detail) : '';
+            lines.push(`${entry.at.toFixed(1).padStart(9)} ms  ${entry.isActive ? 'active  ' : 'inactive'}  ${entry.label}${detail}`);
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * Registers a listener called with report() whenever the current timeline changes
+     * @param {Function} listener Listener
+     * @returns {Function} Function that removes the listener
+     */
+    onChange: function(listener) {
+        this._listeners.push(listener);
+        return () => {
+            this._listeners = this._listeners.filter(registered => registered !== listener);
+        };
+    },
+
+    /**
+     * Adds an entry and updates the expiry bounds of a timeline
+     * @param {Object} timeline Timeline to update
+     * @param {string} label Entry label
+     * @param {Object} detail Extra data to keep with the entry
+     * @returns {Object} The entry
+     * @private
+     */
+    _record: function(timeline, label, detail) {
+        const entry = {
+            label: label,
+            at: Math.round((performance.now() - timeline.origin) * 10) / 10,
+            isActive: this._isActive(),
+            hasBeenActive: this.isSupported() ? navigator.userActivation.hasBeenActive : null
+        };
+        if (detail) {
+            entry.detail = detail;
+        }
+
+        if (entry.isActive && timeline.expiredAt === null) {
+            timeline.lastActiveAt = entry.at;
+        }
+        timeline.entries.push(entry);
+
+        // Touch activation only starts at pointerup, so inactive entries before
+        // the first active one do not count as expiry
+        if (!entry.isActive && timeline.lastActiveAt !== null && timeline.expiredAt === null && label !== 'expired') {
+            this._expire(timeline, entry.at);
+        } else if (timeline === this.current) {
+            this._notify();
+        }
+        return entry;
+    },
+
+    /**
+     * Polls isActive to catch expiry between recorded entries
+     * @param {Object} timeline Timeline to sample
+     * @param {Object} config Sampling options
+     * @private
+     */
+    _sample: function(timeline, config) {
+        // Use the original timer so sampling does not show up as instrumented setTimeout calls
+        const schedule = this._originals ? this._originals.setTimeout : window.setTimeout;
+
+        const tick = () => {
+            timeline._timer = null;
+            if (timeline.expiredAt !== null) {
+                return;
+            }
+
+            const at = Math.round((performance.now() - timeline.origin) * 10) / 10;
+            if (!this._isActive() && timeline.lastActiveAt !== null) {
+                this._expire(timeline, at);
+                return;
+            }
+            if (this._isActive()) {
+                timeline.lastActiveAt = at;
+            }
+            if (at < config.maxSampleMs) {
+                timeline._timer = schedule.call(window, tick, config.sampleIntervalMs);
+            }
+        };
+
+        timeline._timer = schedule.call(window, tick, config.sampleIntervalMs);
+    },
+
+    /**
+     * Records that activation expired
+     * @param {Object} timeline Timeline to update
+     * @param {number} at Time of the first inactive observation
+     * @private
+     */
+    _expire: function(timeline, at) {
+        timeline.expiredAt = at;
+        this._stopSampling(timeline);
+        this._record(timeline, 'expired', { lastActiveAt: timeline.lastActiveAt });
+    },
+
+    /**
+     * Stops polling a timeline
+     * @param {Object} timeline Timeline
+     * @private
+     */
+    _stopSampling: function(timeline) {
+        if (timeline._timer !== null) {
+            clearTimeout(timeline._timer);
+            timeline._timer = null;
+        }
+    },
+
+    /**
+     * Calls the change listeners
+     * @private
+     */
+    _notify: function() {
+        const report = this.report();
+        this._listeners.forEach(function(listener) {
+            try {
+                listener(report);
+            } catch (error) {
+                console.error('Error in activation timeline listener:', error);
+            }
+        });
+    },
+
+    /**
+     * Reads the transient activation state
+     * @returns {boolean} True if the page currently has transient activation
+     * @private
+     */
+    _isActive: function() {
+        return this.isSupported() ? navigator.userActivation.isActive : false;
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivationTimeline;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return ActivationTimeline; });
+} else {
+    window.ActivationTimeline = ActivationTimeline;
+}
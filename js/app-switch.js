@@ -0,0 +1,234 @@
+/**
+ * App Switch Launcher
+ *
+ * A small library to launch a Universal Link / App Link with a pluggable
+ * navigation strategy, so bridge pages can compare strategies without
+ * hand-rolling their own launch code.
+ */
+
+const AppSwitch = {
+    /**
+     * Default launch options
+     */
+    defaults: {
+        strategy: 'assign', // Name of a registered strategy
+        fallbackUrl: null, // Where to go if the app does not take over
+        timeoutMs: 0, // How long to wait for the app before using fallbackUrl (0 disables)
+        delayMs: 0 // Delay before launching (0 launches synchronously, inside the user gesture)
+    },
+
+    /**
+     * Launch strategies keyed by name. Each strategy receives the URL to open
+     * and the merged launch options.
+     */
+    strategies: {
+        'assign': function(url) {
+            window.location.assign(url);
+        },
+
+        'replace': function(url) {
+            window.location.replace(url);
+        },
+
+        'href': function(url) {
+            window.location.href = url;
+        },
+
+        'window-open': function(url) {
+            window.open(url, '_self');
+        },
+
+        'window-open-blank': function(url) {
+            window.open(url, '_blank');
+        },
+
+        'anchor': function(url, options) {
+            const anchor = document.createElement('a');
+            anchor.href = url;
+            if (options.target) {
+                anchor.target = options.target;
+            }
+            anchor.style.display = 'none';
+            document.body.appendChild(anchor);
+            anchor.click();
+            anchor.remove();
+        },
+
+        'form': function(url) {
+            // A GET form replaces the action's query string with its own fields,
+            // so each query parameter becomes a hidden input. The action keeps the
+            // rest of the URL: intent:// URLs have no origin and carry their extras in the hash.
+            const parsed = new URL(url, window.location.href);
+            const action = new URL(parsed.href);
+            action.search = '';
+            const form = document.createElement('form');
+            form.method = 'GET';
+            form.action = action.href;
+            form.style.display = 'none';
+
+            parsed.searchParams.forEach(function(value, name) {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = value;
+                form.appendChild(input);
+            });
+
+            document.body.appendChild(form);
+            form.submit();
+        }
+    },
+
+    /**
+     * Registers (or replaces) a launch strategy
+     * @param {string} name Strategy name used in the `strategy` option
+     * @param {Function} fn Function called with (url, options)
+     */
+    registerStrategy: function(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Strategy "${name}" must be a function.`);
+        }
+        this.strategies[name] = fn;
+    },
+
+    /**
+     * Launches the given Universal Link
+     * @param {string} universalLink The URL to open
+     * @param {Object} options Launch options, see AppSwitch.defaults
+     * @returns {Promise} Promise resolving to a launch record { url, strategy, launchedAt, activation }
+     *     once the strategy has run, activation being the user activation at launch
+     */
+    launch: function(universalLink, options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const strategy = this.strategies[config.strategy];
+
+        if (!universalLink) {
+            return Promise.reject(new Error('A Universal Link is required.'));
+        }
+        if (!strategy) {
+            return Promise.reject(new Error(`Unknown launch strategy: ${config.strategy}`));
+        }
+
+        const run = () => {
+            // Activation is read right before navigating, a delayed launch may have lost it
+            const userActivation = navigator.userActivation;
+            const record = {
+                url: universalLink,
+                strategy: config.strategy,
+                launchedAt: Date.now(),
+                activation: {
+                    isActive: userActivation ? userActivation.isActive : null,
+                    hasBeenActive: userActivation ? userActivation.hasBeenActive : null
+                }
+            };
+
+            if (config.fallbackUrl && config.timeoutMs > 0) {
+                this._scheduleFallback(config.fallbackUrl, config.timeoutMs);
+            }
+
+            strategy(universalLink, config);
+            return record;
+        };
+
+        // Launch synchronously when there is no delay so the navigation still
+        // happens inside the user gesture that called us
+        if (!(config.delayMs > 0)) {
+            try {
+                return Promise.resolve(run());
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        return new Promise(function(resolve, reject) {
+            setTimeout(function() {
+                try {
+                    resolve(run());
+                } catch (error) {
+                    reject(error);
+                }
+            }, config.delayMs);
+        });
+    },
+
+    /**
+     * Reads launch options from the page's query string, e.g.
+     * `?strategy=replace&delay=500&timeout=3000&fallback=https%3A%2F%2Fwww.paypal.com`.
+     * An unknown strategy is ignored, so a mistyped link still launches.
+     * @param {Object} defaults Options used when a parameter is absent or invalid
+     * @returns {Object} Launch options
+     */
+    optionsFromQuery: function(defaults = {}) {
+        const params = new URLSearchParams(window.location.search);
+        const options = Object.assign({}, defaults);
+
+        if (params.has('strategy')) {
+            const strategy = params.get('strategy');
+            if (this.strategies.hasOwnProperty(strategy)) {
+                options.strategy = strategy;
+            } else {
+                console.warn(`Unknown launch strategy "${strategy}", using "${options.strategy || this.defaults.strategy}".`);
+            }
+        }
+        if (params.has('fallback')) {
+            options.fallbackUrl = params.get('fallback');
+        }
+        if (params.has('target')) {
+            options.target = params.get('target');
+        }
+
+        const delay = parseInt(params.get('delay'), 10);
+        if (!isNaN(delay) && delay >= 0) {
+            options.delayMs = delay;
+        }
+
+        const timeout = parseInt(params.get('timeout'), 10);
+        if (!isNaN(timeout) && timeout >= 0) {
+            options.timeoutMs = timeout;
+        }
+
+        return options;
+    },
+
+    /**
+     * Navigates to the fallback URL if the page is still visible after the timeout.
+     * Leaving the page (the app took over) cancels the fallback.
+     * @param {string} fallbackUrl URL to open
+     * @param {number} timeoutMs Time to wait in milliseconds
+     * @private
+     */
+    _scheduleFallback: function(fallbackUrl, timeoutMs) {
+        const cleanup = function() {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            window.removeEventListener('pagehide', cancel);
+        };
+        const cancel = function() {
+            clearTimeout(timer);
+            cleanup();
+        };
+        const onVisibilityChange = function() {
+            if (document.visibilityState === 'hidden') {
+                cancel();
+            }
+        };
+
+        const timer = setTimeout(function() {
+            cleanup();
+            if (document.visibilityState === 'visible') {
+                window.location.assign(fallbackUrl);
+            }
+        }, timeoutMs);
+
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('pagehide', cancel);
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppSwitch;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return AppSwitch; });
+} else {
+    window.AppSwitch = AppSwitch;
+}
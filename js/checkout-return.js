@@ -0,0 +1,387 @@
+/**
+ * Checkout Return Handling
+ *
+ * Merchant-side half of the app switch round trip. Before switching, save()
+ * (or captureForm()) persists the checkout context: form fields and the
+ * order token. When the buyer comes back, watch() restores it and dispatches
+ * a `checkoutresumed` event on window, whichever way the page came back:
+ * - "bfcache": the page was restored from the back-forward cache
+ * - "return-url": the app (or PayPal) navigated to a return URL carrying
+ *   `approved` or `cancelled` parameters
+ * - "reload" / "back-forward" / "navigate": the page was loaded again while a
+ *   saved checkout was still pending
+ *
+ * event.detail: { outcome: "approved" | "cancelled" | "unknown", via, context,
+ * token, tokenMatches, params }
+ *
+ * sessionStorage only survives in the same tab; use the "indexeddb" storage
+ * when the return URL may open in a new tab.
+ */
+
+const CheckoutReturn = {
+    /**
+     * Default options
+     */
+    defaults: {
+        storage: 'session', // 'session' (sessionStorage) or 'indexeddb'
+        key: 'app-switch-checkout', // Storage key (and IndexedDB database name)
+        maxAgeMs: 30 * 60 * 1000, // Saved contexts older than this are ignored
+        cleanUrl: true // Remove the return parameters from the address bar after handling them
+    },
+
+    /**
+     * Query parameters that carry the checkout result on a return URL
+     */
+    outcomeParams: {
+        approved: 'approved',
+        cancelled: 'cancelled'
+    },
+
+    _config: null,
+    _onPageShow: null,
+
+    /**
+     * Sets options without watching, e.g. to pick the storage used by save()
+     * @param {Object} options Options, see CheckoutReturn.defaults
+     * @returns {Object} CheckoutReturn, for chaining
+     */
+    configure: function(options = {}) {
+        this._config = Object.assign({}, this.defaults, options);
+        return this;
+    },
+
+    /**
+     * Persists the checkout context. With the session storage the context is
+     * written before save() returns, so it is safe to navigate right away.
+     * @param {Object} context Checkout context
+     * @param {string} context.token Order / billing agreement token
+     * @param {Object} context.fields Form field values keyed by name
+     * @returns {Promise} Promise resolving to the stored record
+     */
+    save: function(context) {
+        const record = {
+            context: Object.assign({ token: null, fields: {} }, context),
+            savedAt: Date.now(),
+            pending: true,
+            resumedAt: null,
+            outcome: null
+        };
+        return this._write(record).then(function() {
+            return record;
+        });
+    },
+
+    /**
+     * Saves the named fields of a form along with extra context
+     * @param {HTMLFormElement} form Form to read
+     * @param {Object} context Extra context, e.g. { token }
+     * @returns {Promise} Promise resolving to the stored record
+     */
+    captureForm: function(form, context = {}) {
+        const fields = {};
+        Array.prototype.forEach.call(form.elements, function(element) {
+            if (!element.name || element.disabled || element.type === 'password' ||
+                element.type === 'file' || element.type === 'submit' || element.type === 'button') {
+                return;
+            }
+            if ((element.type === 'checkbox' || element.type === 'radio') && !element.checked) {
+                return;
+            }
+            fields[element.name] = element.value;
+        });
+
+        return this.save(Object.assign({}, context, {
+            fields: Object.assign(fields, context.fields || {})
+        }));
+    },
+
+    /**
+     * Writes saved field values back into a form
+     * @param {HTMLFormElement} form Form to fill
+     * @param {Object} fields Field values keyed by name
+     */
+    restoreForm: function(form, fields) {
+        Object.keys(fields || {}).forEach(function(name) {
+            const element = form.elements[name];
+            if (!element) {
+                return;
+            }
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                element.checked = element.value === fields[name];
+            } else {
+                element.value = fields[name];
+            }
+        });
+    },
+
+    /**
+     * Reads the saved checkout record
+     * @returns {Promise} Promise resolving to the record, or null when missing or expired
+     */
+    load: function() {
+        const config = this._config || this.defaults;
+        return this._read().then(function(record) {
+            if (!record || Date.now() - record.savedAt > config.maxAgeMs) {
+                return null;
+            }
+            return record;
+        });
+    },
+
+    /**
+     * Removes the saved checkout record
+     * @returns {Promise} Promise resolving when removed
+     */
+    clear: function() {
+        return this._write(null);
+    },
+
+    /**
+     * Builds a return URL carrying the checkout result, for simulating the app's return
+     * @param {string} outcome "approved" or "cancelled"
+     * @param {string} token Order token
+     * @param {string} base URL to return to, defaults to this page
+     * @returns {string} Return URL
+     */
+    returnUrl: function(outcome, token, base = window.location.href) {
+        if (!this.outcomeParams[outcome]) {
+            throw new Error(`Unknown checkout outcome: ${outcome}`);
+        }
+
+        const url = new URL(base, window.location.href);
+        Object.keys(this.outcomeParams).forEach(key => url.searchParams.delete(this.outcomeParams[key]));
+        url.searchParams.set(this.outcomeParams[outcome], 'true');
+        if (token) {
+            url.searchParams.set('token', token);
+        }
+        return url.href;
+    },
+
+    /**
+     * Reads the checkout result from a return URL
+     * @param {string} url URL to parse, defaults to this page
+     * @returns {Object|null} { outcome, token, params }, or null when the URL carries no result
+     */
+    parseReturnUrl: function(url = window.location.href) {
+        const params = new URL(url, window.location.href).searchParams;
+        const isSet = function(name) {
+            return params.has(name) && params.get(name) !== 'false' && params.get(name) !== '0';
+        };
+
+        let outcome = null;
+        if (isSet(this.outcomeParams.approved)) {
+            outcome = 'approved';
+        } else if (isSet(this.outcomeParams.cancelled)) {
+            outcome = 'cancelled';
+        }
+        if (!outcome) {
+            return null;
+        }
+
+        const values = {};
+        params.forEach(function(value, name) {
+            values[name] = value;
+        });
+        return { outcome: outcome, token: params.get('token'), params: values };
+    },
+
+    /**
+     * Checks for a returning checkout now and on every later pageshow
+     * @param {Object} options Options, see CheckoutReturn.defaults
+     * @returns {Promise} Promise resolving to the event detail of the initial check, or null
+     */
+    watch: function(options = {}) {
+        this.configure(options);
+
+        if (!this._onPageShow) {
+            this._onPageShow = event => {
+                // The initial pageshow of a full load is covered by the check below
+                if (event.persisted) {
+                    this._resume('bfcache');
+                }
+            };
+            window.addEventListener('pageshow', this._onPageShow);
+        }
+
+        return this._resume(this._navigationType());
+    },
+
+    /**
+     * Stops watching for pageshow
+     */
+    unwatch: function() {
+        if (this._onPageShow) {
+            window.removeEventListener('pageshow', this._onPageShow);
+            this._onPageShow = null;
+        }
+    },
+
+    /**
+     * Restores a pending checkout and dispatches checkoutresumed
+     * @param {string} via How the page came back
+     * @returns {Promise} Promise resolving to the event detail, or null when nothing was resumed
+     * @private
+     */
+    _resume: function(via) {
+        const config = this._config || this.defaults;
+        const returned = this.parseReturnUrl();
+
+        return this.load()
+            .then(record => {
+                if (!returned && (!record || !record.pending)) {
+                    return null;
+                }
+
+                const context = record ? record.context : null;
+                const token = returned && returned.token ? returned.token : (context ? context.token : null);
+                const detail = {
+                    outcome: returned ? returned.outcome : 'unknown',
+                    via: returned ? 'return-url' : via,
+                    navigationType: via,
+                    context: context,
+                    token: token,
+                    tokenMatches: context && returned && returned.token ? context.token === returned.token : null,
+                    params: returned ? returned.params : {}
+                };
+
+                if (returned && config.cleanUrl && window.history && window.history.replaceState) {
+                    const url = new URL(window.location.href);
+                    Object.keys(returned.params).forEach(name => {
+                        if (name === 'token' || Object.values(this.outcomeParams).includes(name)) {
+                            url.searchParams.delete(name);
+                        }
+                    });
+                    window.history.replaceState(window.history.state, '', url.href);
+                }
+
+                const write = record ? this._write(Object.assign({}, record, {
+                    pending: false,
+                    resumedAt: Date.now(),
+                    outcome: detail.outcome
+                })) : Promise.resolve();
+
+                return write.then(function() {
+                    window.dispatchEvent(new CustomEvent('checkoutresumed', { detail: detail }));
+                    return detail;
+                });
+            })
+            .catch(function(error) {
+                console.error('Error resuming checkout:', error);
+                return null;
+            });
+    },
+
+    /**
+     * Returns how the current document was loaded
+     * @returns {string} "navigate", "reload", "back-forward" or "prerender"
+     * @private
+     */
+    _navigationType: function() {
+        const entries = window.performance && performance.getEntriesByType ?
+            performance.getEntriesByType('navigation') : [];
+        const type = entries.length ? entries[0].type : 'navigate';
+        return type === 'back_forward' ? 'back-forward' : type;
+    },
+
+    /**
+     * Reads the record from the configured storage
+     * @returns {Promise} Promise resolving to the record or null
+     * @private
+     */
+    _read: function() {
+        const config = this._config || this.defaults;
+
+        if (this._useIndexedDB(config)) {
+            return this._idbRequest(config, 'readonly', store => store.get(config.key))
+                .then(function(value) {
+                    return value || null;
+                });
+        }
+
+        try {
+            const value = window.sessionStorage.getItem(config.key);
+            return Promise.resolve(value ? JSON.parse(value) : null);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    /**
+     * Writes (or with null, removes) the record in the configured storage
+     * @param {Object|null} record Record to store
+     * @returns {Promise} Promise resolving when written
+     * @private
+     */
+    _write: function(record) {
+        const config = this._config || this.defaults;
+
+        if (this._useIndexedDB(config)) {
+            return this._idbRequest(config, 'readwrite', function(store) {
+                return record ? store.put(record, config.key) : store.delete(config.key);
+            });
+        }
+
+        try {
+            if (record) {
+                window.sessionStorage.setItem(config.key, JSON.stringify(record));
+            } else {
+                window.sessionStorage.removeItem(config.key);
+            }
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    /**
+     * Whether to use IndexedDB, falling back to sessionStorage where it is missing
+     * @param {Object} config Options
+     * @returns {boolean} True for IndexedDB
+     * @private
+     */
+    _useIndexedDB: function(config) {
+        return config.storage === 'indexeddb' && typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Runs one request against the checkout object store
+     * @param {Object} config Options
+     * @param {string} mode Transaction mode
+     * @param {Function} makeRequest Called with the store, returns an IDBRequest
+     * @returns {Promise} Promise resolving to the request result
+     * @private
+     */
+    _idbRequest: function(config, mode, makeRequest) {
+        return new Promise(function(resolve, reject) {
+            const open = indexedDB.open(config.key, 1);
+            open.onupgradeneeded = function() {
+                open.result.createObjectStore('checkout');
+            };
+            open.onerror = function() {
+                reject(open.error);
+            };
+            open.onsuccess = function() {
+                const db = open.result;
+                const transaction = db.transaction('checkout', mode);
+                const request = makeRequest(transaction.objectStore('checkout'));
+                transaction.oncomplete = function() {
+                    db.close();
+                    resolve(request.result);
+                };
+                transaction.onerror = function() {
+                    db.close();
+                    reject(transaction.error);
+                };
+            };
+        });
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CheckoutReturn;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return CheckoutReturn; });
+} else {
+    window.CheckoutReturn = CheckoutReturn;
+}
@@ -0,0 +1,410 @@
+/**
+ * Frame Channel
+ *
+ * postMessage protocol between a merchant page and an SDK iframe (or any two
+ * windows). Replaces ad-hoc `postMessage(..., '*')` calls with:
+ * - origin allowlisting on both sides (never '*')
+ * - a handshake that agrees on a protocol version and a channel ID
+ * - request/response pairs correlated by message ID, with timeouts
+ * - fire-and-forget notifications
+ * - activation forwarding: every message carries the sender's user-activation
+ *   state, and messages can delegate a capability (e.g. "payment") to the
+ *   receiver where the browser supports Capability Delegation
+ *
+ * Usage, merchant side:
+ *   const channel = await FrameChannel.connect({ target: iframe.contentWindow, targetOrigin: 'https://sdk.example' });
+ *   channel.on('launchApp', payload => { window.location.href = payload.url; });
+ *
+ * Usage, iframe side:
+ *   const channel = await FrameChannel.accept({ allowedOrigins: ['https://merchant.example'], source: window.parent });
+ *   const reply = await channel.request('buttonClicked', { buttonId: 'pay' });
+ */
+
+const FrameChannel = {
+    /**
+     * Protocol name carried by every message, so unrelated messages are ignored
+     */
+    protocol: 'app-switch-frame-channel',
+
+    /**
+     * Protocol versions this side speaks, preferred last
+     */
+    supportedVersions: [1],
+
+    /**
+     * Default channel options
+     */
+    defaults: {
+        timeoutMs: 5000, // How long request() waits for a response
+        handshakeTimeoutMs: 5000, // How long connect() waits for the other side
+        handshakeRetryMs: 250 // How often connect() resends the handshake while the frame loads
+    },
+
+    /**
+     * Opens a channel to a window that calls accept(). Resends the handshake
+     * until the other side answers, so it can be called before the frame loads.
+     * @param {Object} options Channel options, see FrameChannel.defaults
+     * @param {Window} options.target Window to talk to, e.g. iframe.contentWindow
+     * @param {string} options.targetOrigin Origin of the target window
+     * @param {Object} options.handlers Request/notification handlers keyed by type
+     * @returns {Promise} Promise resolving to the channel
+     */
+    connect: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+
+        if (!config.target) {
+            return Promise.reject(new Error('A target window is required.'));
+        }
+        if (!this._isValidOrigin(config.targetOrigin)) {
+            return Promise.reject(new Error(`Invalid target origin: ${config.targetOrigin}`));
+        }
+
+        const channelId = this._newId();
+
+        return new Promise((resolve, reject) => {
+            let retryTimer = null;
+            let timeoutTimer = null;
+
+            const finish = () => {
+                clearInterval(retryTimer);
+                clearTimeout(timeoutTimer);
+                window.removeEventListener('message', onMessage);
+            };
+
+            const onMessage = event => {
+                const message = event.data;
+                if (event.source !== config.target || event.origin !== config.targetOrigin ||
+                    !this._isMessage(message) || message.kind !== 'hello-ack' || message.channelId !== channelId) {
+                    return;
+                }
+
+                finish();
+                if (message.error) {
+                    reject(new Error(`Handshake rejected: ${message.error}`));
+                    return;
+                }
+                resolve(this._createChannel(config, config.target, config.targetOrigin, channelId, message.version));
+            };
+
+            const sendHello = () => {
+                this._post(config.target, config.targetOrigin, {
+                    kind: 'hello',
+                    channelId: channelId,
+                    versions: this.supportedVersions
+                });
+            };
+
+            window.addEventListener('message', onMessage);
+            timeoutTimer = setTimeout(function() {
+                finish();
+                reject(new Error(`Handshake timed out after ${config.handshakeTimeoutMs} ms`));
+            }, config.handshakeTimeoutMs);
+            retryTimer = setInterval(sendHello, config.handshakeRetryMs);
+            sendHello();
+        });
+    },
+
+    /**
+     * Waits for a connect() handshake from an allowed origin
+     * @param {Object} options Channel options, see FrameChannel.defaults
+     * @param {Array} options.allowedOrigins Origins allowed to connect
+     * @param {Window} options.source Only accept handshakes from this window, e.g. window.parent
+     * @param {Object} options.handlers Request/notification handlers keyed by type
+     * @returns {Promise} Promise resolving to the channel
+     */
+    accept: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const allowedOrigins = config.allowedOrigins || [];
+
+        if (!allowedOrigins.length || !allowedOrigins.every(origin => this._isValidOrigin(origin))) {
+            return Promise.reject(new Error('allowedOrigins must list the exact origins that may connect.'));
+        }
+
+        return new Promise(resolve => {
+            const onMessage = event => {
+                const message = event.data;
+                if ((config.source && event.source !== config.source) || !allowedOrigins.includes(event.origin) ||
+                    !this._isMessage(message) || message.kind !== 'hello') {
+                    return;
+                }
+
+                const versions = Array.isArray(message.versions) ? message.versions : [];
+                const version = this.supportedVersions.filter(supported => versions.includes(supported)).pop();
+                const ack = { kind: 'hello-ack', channelId: message.channelId, version: version || null };
+
+                if (!version) {
+                    ack.error = `Unsupported protocol version (offered ${versions.join(', ') || 'none'}, ` +
+                        `supported ${this.supportedVersions.join(', ')})`;
+                    this._post(event.source, event.origin, ack);
+                    return;
+                }
+
+                window.removeEventListener('message', onMessage);
+                const channel = this._createChannel(config, event.source, event.origin, message.channelId, version);
+                this._post(event.source, event.origin, ack);
+                resolve(channel);
+            };
+
+            window.addEventListener('message', onMessage);
+        });
+    },
+
+    /**
+     * Creates a connected channel
+     * @param {Object} config Channel options
+     * @param {Window} target Peer window
+     * @param {string} origin Peer origin
+     * @param {string} channelId Channel ID agreed in the handshake
+     * @param {number} version Protocol version agreed in the handshake
+     * @returns {Object} The channel
+     * @private
+     */
+    _createChannel: function(config, target, origin, channelId, version) {
+        const self = this;
+        const handlers = Object.assign({}, config.handlers);
+        const pending = {};
+        let closed = false;
+
+        const send = function(message, delegate) {
+            self._post(target, origin, Object.assign({ channelId: channelId, version: version }, message), delegate);
+        };
+
+        const respond = function(request, result) {
+            Promise.resolve(result)
+                .then(function(payload) {
+                    send({ kind: 'response', replyTo: request.id, payload: payload === undefined ? null : payload });
+                })
+                .catch(function(error) {
+                    send({ kind: 'response', replyTo: request.id, error: error && error.message ? error.message : String(error) });
+                });
+        };
+
+        const onMessage = function(event) {
+            const message = event.data;
+            if (closed || event.source !== target || event.origin !== origin ||
+                !self._isMessage(message) || message.channelId !== channelId) {
+                return;
+            }
+
+            // The peer retries the handshake until it sees our ack; answer duplicates again
+            if (message.kind === 'hello') {
+                self._post(target, origin, { kind: 'hello-ack', channelId: channelId, version: version });
+                return;
+            }
+            if (message.version !== version) {
+                console.error(`Ignoring frame channel message with version ${message.version}, expected ${version}`);
+                return;
+            }
+
+            if (message.kind === 'response') {
+                const request = pending[message.replyTo];
+                if (!request) {
+                    return;
+                }
+                delete pending[message.replyTo];
+                clearTimeout(request.timer);
+                if (message.error) {
+                    request.reject(new Error(message.error));
+                } else {
+                    request.resolve(message.payload);
+                }
+                return;
+            }
+
+            if (message.kind !== 'request' && message.kind !== 'notify') {
+                return;
+            }
+
+            const context = {
+                type: message.type,
+                origin: origin,
+                senderActivation: message.activation || null,
+                isActive: self._activation().isActive
+            };
+            const handler = handlers[message.type];
+
+            if (!handler) {
+                if (message.kind === 'request') {
+                    respond(message, Promise.reject(new Error(`No handler for "${message.type}"`)));
+                }
+                return;
+            }
+
+            let result;
+            try {
+                result = handler(message.payload, context);
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+
+            if (message.kind === 'request') {
+                respond(message, result);
+            } else {
+                Promise.resolve(result).catch(function(error) {
+                    console.error(`Error handling "${message.type}":`, error);
+                });
+            }
+        };
+
+        window.addEventListener('message', onMessage);
+
+        return {
+            origin: origin,
+            version: version,
+            channelId: channelId,
+
+            /**
+             * Sends a request and waits for the response
+             * @param {string} type Message type
+             * @param {*} payload Message payload (must be structured-cloneable)
+             * @param {Object} options Request options
+             * @param {number} options.timeoutMs Overrides the channel timeout
+             * @param {string} options.delegate Capability to delegate with the message, e.g. "payment"
+             * @returns {Promise} Promise resolving to the response payload
+             */
+            request: function(type, payload = null, options = {}) {
+                if (closed) {
+                    return Promise.reject(new Error('Channel is closed.'));
+                }
+
+                const id = self._newId();
+                const timeoutMs = options.timeoutMs || config.timeoutMs;
+
+                return new Promise(function(resolve, reject) {
+                    pending[id] = {
+                        resolve: resolve,
+                        reject: reject,
+                        timer: setTimeout(function() {
+                            delete pending[id];
+                            reject(new Error(`Request "${type}" timed out after ${timeoutMs} ms`));
+                        }, timeoutMs)
+                    };
+                    send({ kind: 'request', id: id, type: type, payload: payload }, options.delegate);
+                });
+            },
+
+            /**
+             * Sends a message that expects no response
+             * @param {string} type Message type
+             * @param {*} payload Message payload (must be structured-cloneable)
+             * @param {Object} options Notification options
+             * @param {string} options.delegate Capability to delegate with the message, e.g. "payment"
+             */
+            notify: function(type, payload = null, options = {}) {
+                if (closed) {
+                    throw new Error('Channel is closed.');
+                }
+                send({ kind: 'notify', id: self._newId(), type: type, payload: payload }, options.delegate);
+            },
+
+            /**
+             * Registers the handler for a message type. Its return value (or
+             * the value its Promise resolves to) is sent back for requests.
+             * @param {string} type Message type
+             * @param {Function} handler Called with (payload, context)
+             */
+            on: function(type, handler) {
+                handlers[type] = handler;
+            },
+
+            /**
+             * Stops listening and rejects pending requests
+             */
+            close: function() {
+                closed = true;
+                window.removeEventListener('message', onMessage);
+                Object.keys(pending).forEach(function(id) {
+                    clearTimeout(pending[id].timer);
+                    pending[id].reject(new Error('Channel is closed.'));
+                    delete pending[id];
+                });
+            }
+        };
+    },
+
+    /**
+     * Posts a protocol message, delegating a capability when asked and possible
+     * @param {Window} target Window to post to
+     * @param {string} origin Target origin
+     * @param {Object} message Message fields
+     * @param {string} delegate Capability to delegate
+     * @private
+     */
+    _post: function(target, origin, message, delegate) {
+        const activation = this._activation();
+        const envelope = Object.assign({ protocol: this.protocol, activation: activation }, message);
+
+        // Capability Delegation needs transient activation and throws where unsupported
+        if (delegate && activation.isActive) {
+            try {
+                target.postMessage(envelope, { targetOrigin: origin, delegate: delegate });
+                return;
+            } catch (error) {
+                console.error(`Could not delegate "${delegate}":`, error);
+            }
+        }
+        target.postMessage(envelope, origin);
+    },
+
+    /**
+     * Reads this window's user-activation state
+     * @returns {Object} { isActive, hasBeenActive }, null values when unsupported
+     * @private
+     */
+    _activation: function() {
+        const userActivation = typeof navigator !== 'undefined' ? navigator.userActivation : null;
+        return {
+            isActive: userActivation ? userActivation.isActive : null,
+            hasBeenActive: userActivation ? userActivation.hasBeenActive : null
+        };
+    },
+
+    /**
+     * Checks that a message belongs to this protocol
+     * @param {*} data Message data
+     * @returns {boolean} True for protocol messages
+     * @private
+     */
+    _isMessage: function(data) {
+        return !!data && typeof data === 'object' && data.protocol === this.protocol &&
+            typeof data.kind === 'string' && typeof data.channelId === 'string';
+    },
+
+    /**
+     * Checks that an origin is an exact origin (scheme://host[:port]), not '*'
+     * @param {string} origin Origin
+     * @returns {boolean} True if valid
+     * @private
+     */
+    _isValidOrigin: function(origin) {
+        if (typeof origin !== 'string' || origin === '*') {
+            return false;
+        }
+        try {
+            return new URL(origin).origin === origin;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Generates a message or channel ID
+     * @returns {string} ID
+     * @private
+     */
+    _newId: function() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameChannel;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return FrameChannel; });
+} else {
+    window.FrameChannel = FrameChannel;
+}
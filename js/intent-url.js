@@ -0,0 +1,224 @@
+/**
+ * Android Intent URL Builder
+ *
+ * Builds and parses Chrome `intent://` URLs, including typed extras and
+ * `browser_fallback_url`, so bridge pages can target any app package.
+ *
+ * Format: intent://HOST/PATH?QUERY#Intent;scheme=...;package=...;S.key=value;end;
+ */
+
+const IntentUrl = {
+    /**
+     * Android packages listed in .well-known/manifest.webmanifest
+     */
+    packages: {
+        PAYPAL: 'com.paypal.android.p2pmobile',
+        VENMO: 'com.venmo',
+        VENMO_FIFA: 'com.venmo.fifa'
+    },
+
+    /**
+     * Supported extra type prefixes: String, int, boolean, long
+     */
+    extraTypes: ['S', 'i', 'b', 'l'],
+
+    /**
+     * Builds an intent:// URL
+     * @param {Object} intent Intent description
+     * @param {string} intent.data Everything after "scheme://" (host, path and query)
+     * @param {string} intent.scheme Data scheme, e.g. "https"
+     * @param {string} intent.package Target app package
+     * @param {string} intent.action Intent action
+     * @param {string|string[]} intent.category Intent category (or categories)
+     * @param {string} intent.component Explicit component, e.g. "com.example/.MainActivity"
+     * @param {Object} intent.extras Extras keyed either by typed name ("S.foo", "i.count")
+     *     or by plain name, in which case the type is inferred from the value
+     * @param {string} intent.fallbackUrl URL Chrome opens when no app handles the intent
+     * @returns {string} The intent:// URL
+     */
+    build: function(intent) {
+        if (!intent || typeof intent.data !== 'string') {
+            throw new Error('Intent data (host, path and query) is required.');
+        }
+        if (intent.data.indexOf('#') !== -1) {
+            throw new Error('Intent data cannot contain a URL fragment.');
+        }
+
+        const parts = [];
+        const push = function(name, value) {
+            parts.push(name + '=' + encodeURIComponent(value));
+        };
+
+        if (intent.scheme) {
+            push('scheme', intent.scheme);
+        }
+        if (intent.package) {
+            push('package', intent.package);
+        }
+        if (intent.action) {
+            push('action', intent.action);
+        }
+        [].concat(intent.category || []).forEach(function(category) {
+            push('category', category);
+        });
+        if (intent.component) {
+            push('component', intent.component);
+        }
+
+        const extras = intent.extras || {};
+        Object.keys(extras).forEach((name) => {
+            const extra = this._typedExtra(name, extras[name]);
+            parts.push(extra.type + '.' + encodeURIComponent(extra.key) + '=' + encodeURIComponent(extra.value));
+        });
+
+        if (intent.fallbackUrl) {
+            push('S.browser_fallback_url', intent.fallbackUrl);
+        }
+
+        return `intent://${intent.data}#Intent;${parts.join(';')};end;`;
+    },
+
+    /**
+     * Parses an intent:// URL back into the shape accepted by build()
+     * @param {string} intentUrl The intent:// URL
+     * @returns {Object} Intent description, plus `url` (the data URL rebuilt with its scheme)
+     */
+    parse: function(intentUrl) {
+        const match = /^intent:\/\/([^#]*)#Intent;(.*?);?end;?$/.exec(intentUrl || '');
+        if (!match) {
+            throw new Error(`Not an intent URL: ${intentUrl}`);
+        }
+
+        const intent = {
+            data: match[1],
+            scheme: null,
+            package: null,
+            action: null,
+            category: null,
+            component: null,
+            extras: {},
+            fallbackUrl: null
+        };
+        const categories = [];
+
+        match[2].split(';').forEach((part) => {
+            if (!part) {
+                return;
+            }
+            const separator = part.indexOf('=');
+            if (separator === -1) {
+                throw new Error(`Malformed intent parameter: ${part}`);
+            }
+            const name = part.slice(0, separator);
+            const value = decodeURIComponent(part.slice(separator + 1));
+
+            if (name === 'S.browser_fallback_url') {
+                intent.fallbackUrl = value;
+            } else if (name === 'category') {
+                categories.push(value);
+            } else if (['scheme', 'package', 'action', 'component'].indexOf(name) !== -1) {
+                intent[name] = value;
+            } else if (/^[A-Za-z]\./.test(name)) {
+                const type = name.charAt(0);
+                const key = decodeURIComponent(name.slice(2));
+                intent.extras[type + '.' + key] = this._parseExtraValue(type, value);
+            } else {
+                throw new Error(`Unknown intent parameter: ${name}`);
+            }
+        });
+
+        if (categories.length) {
+            intent.category = categories.length === 1 ? categories[0] : categories;
+        }
+
+        intent.url = intent.scheme ? `${intent.scheme}://${intent.data}` : null;
+
+        return intent;
+    },
+
+    /**
+     * Wraps a Universal Link / App Link in an intent:// URL that targets an app
+     * package and falls back to the link itself in the browser
+     * @param {string} universalLink The https:// link to open
+     * @param {Object} options Extra build() fields; `package` defaults to PayPal
+     * @returns {string} The intent:// URL
+     */
+    fromUniversalLink: function(universalLink, options = {}) {
+        const match = /^([a-z][a-z0-9+.-]*):\/\/([^#]*)/i.exec(universalLink || '');
+        if (!match) {
+            throw new Error(`Invalid Universal Link: ${universalLink}`);
+        }
+
+        return this.build(Object.assign({
+            package: this.packages.PAYPAL,
+            fallbackUrl: universalLink
+        }, options, {
+            scheme: match[1].toLowerCase(),
+            data: match[2]
+        }));
+    },
+
+    /**
+     * Resolves an extra's type, key and string value
+     * @param {string} name Extra name, optionally prefixed with its type ("S.foo")
+     * @param {*} value Extra value
+     * @returns {Object} { type, key, value }
+     * @private
+     */
+    _typedExtra: function(name, value) {
+        let type = null;
+        let key = name;
+
+        if (/^[A-Za-z]\./.test(name)) {
+            type = name.charAt(0);
+            key = name.slice(2);
+        } else if (typeof value === 'boolean') {
+            type = 'b';
+        } else if (typeof value === 'bigint') {
+            type = 'l';
+        } else if (typeof value === 'number' && Number.isInteger(value)) {
+            type = Math.abs(value) > 2147483647 ? 'l' : 'i';
+        } else {
+            type = 'S';
+        }
+
+        if (this.extraTypes.indexOf(type) === -1) {
+            throw new Error(`Unsupported intent extra type "${type}" for ${key}`);
+        }
+        if ((type === 'i' || type === 'l') && !/^-?\d+$/.test(String(value))) {
+            throw new Error(`Intent extra ${key} must be an integer.`);
+        }
+
+        return { type: type, key: key, value: String(value) };
+    },
+
+    /**
+     * Converts a decoded extra value to its JavaScript type
+     * @param {string} type Extra type prefix
+     * @param {string} value Decoded value
+     * @returns {*} Typed value
+     * @private
+     */
+    _parseExtraValue: function(type, value) {
+        if (type === 'b') {
+            return value === 'true';
+        }
+        if (type === 'i') {
+            return parseInt(value, 10);
+        }
+        if (type === 'l') {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? number : value;
+        }
+        return value;
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntentUrl;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return IntentUrl; });
+} else {
+    window.IntentUrl = IntentUrl;
+}
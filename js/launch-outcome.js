@@ -0,0 +1,139 @@
+/**
+ * Launch Outcome Tracker
+ *
+ * Watches page lifecycle events after a Universal Link / intent launch to tell
+ * whether the native app opened or the browser kept (or loaded) the page.
+ *
+ * Outcomes:
+ * - "app-opened": the page was hidden without being unloaded and stayed hidden until the timeout
+ * - "returned-from-app": the page was hidden and later became visible again (or was restored from bfcache)
+ * - "stayed-in-browser": the page was unloaded by a browser navigation, or stayed visible for the whole timeout
+ * - "unknown": the page lost focus but never became hidden (e.g. a system "Open in app?" prompt)
+ */
+
+const LaunchOutcome = {
+    /**
+     * Default tracking options
+     */
+    defaults: {
+        timeoutMs: 3000, // How long to wait before settling on an outcome
+        startedAt: null // Launch timestamp (Date.now()), defaults to the time track() is called
+    },
+
+    /**
+     * Starts tracking the outcome of a launch. Call it right before (or right
+     * after) firing the Universal Link.
+     * @param {Object} options Tracking options, see LaunchOutcome.defaults
+     * @returns {Promise} Promise resolving to { outcome, timings, events }
+     */
+    track: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const startedAt = config.startedAt || Date.now();
+        const timings = {
+            startedAt: startedAt,
+            blurAt: null,
+            hiddenAt: null,
+            pagehideAt: null,
+            returnedAt: null,
+            resolvedAt: null,
+            restoredFromBfcache: false
+        };
+        const events = [];
+
+        return new Promise(function(resolve) {
+            let timer = null;
+
+            const record = function(event) {
+                const entry = {
+                    type: event.type,
+                    at: Date.now(),
+                    visibilityState: document.visibilityState
+                };
+                if (typeof event.persisted === 'boolean') {
+                    entry.persisted = event.persisted;
+                }
+                events.push(entry);
+                return entry;
+            };
+
+            const finish = function(outcome) {
+                clearTimeout(timer);
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+                window.removeEventListener('pagehide', onPageHide);
+                window.removeEventListener('pageshow', onPageShow);
+                window.removeEventListener('blur', onBlur);
+
+                timings.resolvedAt = Date.now();
+                timings.elapsedMs = timings.resolvedAt - startedAt;
+                timings.timeToHiddenMs = timings.hiddenAt !== null ? timings.hiddenAt - startedAt : null;
+                timings.timeAwayMs = timings.hiddenAt !== null && timings.returnedAt !== null ?
+                    timings.returnedAt - timings.hiddenAt : null;
+
+                resolve({ outcome: outcome, timings: timings, events: events });
+            };
+
+            const onBlur = function(event) {
+                const entry = record(event);
+                if (timings.blurAt === null) {
+                    timings.blurAt = entry.at;
+                }
+            };
+
+            const onVisibilityChange = function(event) {
+                const entry = record(event);
+                if (document.visibilityState === 'hidden') {
+                    if (timings.hiddenAt === null) {
+                        timings.hiddenAt = entry.at;
+                    }
+                } else if (timings.hiddenAt !== null) {
+                    timings.returnedAt = entry.at;
+                    finish('returned-from-app');
+                }
+            };
+
+            const onPageHide = function(event) {
+                const entry = record(event);
+                timings.pagehideAt = entry.at;
+                // A non-persisted pagehide means the page is being unloaded, so the
+                // browser itself navigated to the link; resolve now while we still can
+                if (!event.persisted) {
+                    finish('stayed-in-browser');
+                }
+            };
+
+            const onPageShow = function(event) {
+                const entry = record(event);
+                // Restored from bfcache after going away
+                if (event.persisted) {
+                    timings.returnedAt = entry.at;
+                    timings.restoredFromBfcache = true;
+                    finish('returned-from-app');
+                }
+            };
+
+            document.addEventListener('visibilitychange', onVisibilityChange);
+            window.addEventListener('pagehide', onPageHide);
+            window.addEventListener('pageshow', onPageShow);
+            window.addEventListener('blur', onBlur);
+
+            timer = setTimeout(function() {
+                if (timings.hiddenAt !== null) {
+                    finish('app-opened');
+                } else if (timings.blurAt !== null) {
+                    finish('unknown');
+                } else {
+                    finish('stayed-in-browser');
+                }
+            }, config.timeoutMs);
+        });
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LaunchOutcome;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return LaunchOutcome; });
+} else {
+    window.LaunchOutcome = LaunchOutcome;
+}
@@ -0,0 +1,364 @@
+/**
+ * Native Bridge
+ *
+ * Asks the app hosting a WebView to open a URL outside of it. Inside a
+ * WebView, Universal Links and intent:// URLs often do nothing, but the host
+ * app can hand them to the OS. Uses whichever bridge the host injected, the
+ * same ones AppDetection looks for:
+ * - "webkit": window.webkit.messageHandlers.<handlerName>.postMessage(message) (WKWebView)
+ * - "react-native": window.ReactNativeWebView.postMessage(json)
+ * - "flutter": window.flutter_inappwebview.callHandler(handlerName, message)
+ * - "android": window.AndroidInterface / Android / JSInterface .postMessage(json) (addJavascriptInterface)
+ * When no bridge is present, or the host can't open the URL, it is launched
+ * with AppSwitch like in a browser. A host that takes the message without
+ * acknowledging it in time may still have opened the URL, so that outcome is
+ * reported as "bridge" with confirmed: false instead of launching the URL a
+ * second time, outside of the user gesture (see the fallbackOnTimeout option).
+ *
+ * Message to the host (an object for webkit and flutter, a JSON string otherwise):
+ *   {
+ *     "protocol": "app-switch-native-bridge",
+ *     "version": 1,
+ *     "id": "5f0c...",                  // Echoed in the ack
+ *     "type": "openExternal",
+ *     "payload": { "url": "https://www.paypal.com/app-switch-checkout?token=..." }
+ *   }
+ *
+ * Ack from the host:
+ *   {
+ *     "protocol": "app-switch-native-bridge",
+ *     "replyTo": "5f0c...",
+ *     "ok": true,                       // false when the host could not open it
+ *     "error": "No app handles the URL" // Optional, with ok: false
+ *   }
+ * The host can return the ack from the bridge call (flutter callHandler, a
+ * WKScriptMessageHandlerWithReply or a synchronous Android method), call
+ * window.NativeBridge.receive(ack) through evaluateJavascript/injectJavaScript,
+ * or post it to the page as a message event. A JSON string is accepted
+ * everywhere.
+ *
+ * Usage:
+ *   NativeBridge.openExternal(universalLink, { launchOptions: AppSwitch.optionsFromQuery() })
+ *       .then(outcome => console.log(outcome.handled, outcome.confirmed)); // "bridge" or "fallback"
+ */
+
+const NativeBridge = {
+    /**
+     * Protocol name carried by every message, so unrelated messages are ignored
+     */
+    protocol: 'app-switch-native-bridge',
+
+    /**
+     * Protocol version sent to the host
+     */
+    version: 1,
+
+    /**
+     * Default options
+     */
+    defaults: {
+        handlerName: 'appSwitch', // Name of the WKScriptMessageHandler and the Flutter handler
+        timeoutMs: 1500, // How long to wait for the host's ack
+        fallback: true, // Launch with AppSwitch when there is no bridge or it fails; false rejects instead
+        fallbackOnTimeout: false, // Also launch with AppSwitch when the host doesn't ack in time, for hosts known to ack
+        launchOptions: {} // AppSwitch.launch() options for the fallback, see AppSwitch.defaults
+    },
+
+    /**
+     * Bridge transports, tried in order. available() finds the bridge, send()
+     * delivers the message and may return the ack (or a promise of it).
+     */
+    transports: [
+        {
+            name: 'webkit',
+            available: config => !!(window.webkit && window.webkit.messageHandlers &&
+                window.webkit.messageHandlers[config.handlerName]),
+            send: (message, config) => window.webkit.messageHandlers[config.handlerName].postMessage(message)
+        },
+        {
+            name: 'react-native',
+            available: () => !!(window.ReactNativeWebView && typeof window.ReactNativeWebView.postMessage === 'function'),
+            send: message => window.ReactNativeWebView.postMessage(JSON.stringify(message))
+        },
+        {
+            name: 'flutter',
+            available: () => !!(window.flutter_inappwebview && typeof window.flutter_inappwebview.callHandler === 'function'),
+            send: (message, config) => window.flutter_inappwebview.callHandler(config.handlerName, message)
+        },
+        {
+            name: 'android',
+            available: () => !!NativeBridge._androidInterface(),
+            send: message => NativeBridge._androidInterface().postMessage(JSON.stringify(message))
+        }
+    ],
+
+    /**
+     * Requests waiting for an ack, keyed by message ID
+     * @private
+     */
+    _pending: {},
+
+    /**
+     * message event listener, installed while requests are pending
+     * @private
+     */
+    _onMessage: null,
+
+    /**
+     * Finds the first bridge the host injected
+     * @param {Object} options Options, see NativeBridge.defaults
+     * @returns {string|null} Transport name, null when the page is not in a bridged WebView
+     */
+    detect: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const transport = this.transports.find(candidate => {
+            try {
+                return candidate.available(config);
+            } catch (error) {
+                return false;
+            }
+        });
+        return transport ? transport.name : null;
+    },
+
+    /**
+     * Asks the host app to open a URL (Universal Link, App Link, intent:// or
+     * any other URL) outside of the WebView. Without a bridge, the fallback
+     * launches synchronously, inside the user gesture; after a failed ack (or
+     * a timeout with fallbackOnTimeout) it runs without one, which some
+     * browsers block for app links.
+     * @param {string} url URL to open
+     * @param {Object} options Options, see NativeBridge.defaults
+     * @returns {Promise} Promise resolving to { handled: "bridge"|"fallback", confirmed, transport, ack, launch, reason }:
+     *     confirmed is false when the host took the message without acking it in time, launch is the
+     *     launch record ({ url, strategy, launchedAt, activation }, from AppSwitch for the fallback)
+     */
+    openExternal: function(url, options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+
+        if (!url) {
+            return Promise.reject(new Error('A URL is required.'));
+        }
+
+        const transportName = this.detect(config);
+        if (!transportName) {
+            return this._fallback(url, config, { transport: null, ack: null, reason: 'no-bridge' });
+        }
+
+        // Read before sending, the host may take the page to the background right away
+        const userActivation = navigator.userActivation;
+        const launch = {
+            url: url,
+            strategy: `native-bridge:${transportName}`,
+            launchedAt: Date.now(),
+            activation: {
+                isActive: userActivation ? userActivation.isActive : null,
+                hasBeenActive: userActivation ? userActivation.hasBeenActive : null
+            }
+        };
+
+        return this._request(transportName, 'openExternal', { url: url }, config)
+            .then(ack => {
+                if (!ack) {
+                    const reason = `The ${transportName} bridge did not answer within ${config.timeoutMs} ms`;
+                    if (config.fallbackOnTimeout) {
+                        return this._fallback(url, config, { transport: transportName, ack: null, reason: reason });
+                    }
+                    return {
+                        handled: 'bridge',
+                        confirmed: false,
+                        transport: transportName,
+                        ack: null,
+                        launch: launch,
+                        reason: reason
+                    };
+                }
+                if (!ack.ok) {
+                    return this._fallback(url, config, {
+                        transport: transportName,
+                        ack: ack,
+                        reason: ack.error || 'rejected'
+                    });
+                }
+                return {
+                    handled: 'bridge',
+                    confirmed: true,
+                    transport: transportName,
+                    ack: ack,
+                    launch: launch,
+                    reason: null
+                };
+            }, error => {
+                return this._fallback(url, config, { transport: transportName, ack: null, reason: error.message });
+            });
+    },
+
+    /**
+     * Handles an ack from the host. Hosts without a return channel call this
+     * through evaluateJavascript() or injectJavaScript().
+     * @param {Object|string} message Ack, or its JSON
+     * @returns {boolean} True if the ack matched a pending request
+     */
+    receive: function(message) {
+        const ack = this._parse(message);
+        if (!ack || typeof ack.replyTo !== 'string' || !this._pending[ack.replyTo]) {
+            return false;
+        }
+
+        const request = this._pending[ack.replyTo];
+        delete this._pending[ack.replyTo];
+        clearTimeout(request.timer);
+        this._updateListener();
+        request.resolve({ ok: ack.ok === true, error: ack.error || null, replyTo: ack.replyTo });
+        return true;
+    },
+
+    /**
+     * Sends a message over a transport and waits for its ack
+     * @param {string} transportName Transport to use
+     * @param {string} type Message type
+     * @param {Object} payload Message payload
+     * @param {Object} config Merged options
+     * @returns {Promise} Promise resolving to { ok, error, replyTo }, or null when no ack came in time;
+     *     rejected on send errors
+     * @private
+     */
+    _request: function(transportName, type, payload, config) {
+        const transport = this.transports.find(candidate => candidate.name === transportName);
+        const message = {
+            protocol: this.protocol,
+            version: this.version,
+            id: this._newId(),
+            type: type,
+            payload: payload
+        };
+
+        return new Promise((resolve, reject) => {
+            this._pending[message.id] = {
+                resolve: resolve,
+                timer: setTimeout(() => {
+                    delete this._pending[message.id];
+                    this._updateListener();
+                    resolve(null);
+                }, config.timeoutMs)
+            };
+            this._updateListener();
+
+            let returned;
+            try {
+                returned = transport.send(message, config);
+            } catch (error) {
+                clearTimeout(this._pending[message.id].timer);
+                delete this._pending[message.id];
+                this._updateListener();
+                reject(error);
+                return;
+            }
+
+            // An ack returned by the bridge call itself, with or without replyTo
+            Promise.resolve(returned)
+                .then(reply => {
+                    const ack = this._parse(reply);
+                    if (ack) {
+                        this.receive(Object.assign({ replyTo: message.id }, ack));
+                    }
+                })
+                .catch(error => {
+                    if (this._pending[message.id]) {
+                        clearTimeout(this._pending[message.id].timer);
+                        delete this._pending[message.id];
+                        this._updateListener();
+                        reject(error);
+                    }
+                });
+        });
+    },
+
+    /**
+     * Launches the URL with AppSwitch after the bridge did not take it
+     * @param {string} url URL to open
+     * @param {Object} config Merged options
+     * @param {Object} outcome { transport, ack, reason }
+     * @returns {Promise} Promise resolving to the outcome with handled "fallback" and the launch record
+     * @private
+     */
+    _fallback: function(url, config, outcome) {
+        if (!config.fallback) {
+            return Promise.reject(new Error(`The host app did not open the URL: ${outcome.reason}`));
+        }
+        if (typeof AppSwitch === 'undefined') {
+            return Promise.reject(new Error('AppSwitch is required for the fallback launch.'));
+        }
+
+        return AppSwitch.launch(url, config.launchOptions).then(function(launch) {
+            return Object.assign({ handled: 'fallback', confirmed: null, launch: launch }, outcome);
+        });
+    },
+
+    /**
+     * Listens for acks posted as message events while requests are pending
+     * @private
+     */
+    _updateListener: function() {
+        const hasPending = Object.keys(this._pending).length > 0;
+        if (hasPending && !this._onMessage) {
+            this._onMessage = event => this.receive(event.data);
+            window.addEventListener('message', this._onMessage);
+        } else if (!hasPending && this._onMessage) {
+            window.removeEventListener('message', this._onMessage);
+            this._onMessage = null;
+        }
+    },
+
+    /**
+     * Reads an ack in object or JSON form
+     * @param {*} data Ack candidate
+     * @returns {Object|null} Ack of this protocol, null for anything else
+     * @private
+     */
+    _parse: function(data) {
+        let message = data;
+        if (typeof data === 'string') {
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return null;
+            }
+        }
+        return !!message && typeof message === 'object' && message.protocol === this.protocol &&
+            typeof message.ok === 'boolean' ? message : null;
+    },
+
+    /**
+     * Finds the addJavascriptInterface object that takes our messages
+     * @returns {Object|null} Interface with a postMessage(json) method
+     * @private
+     */
+    _androidInterface: function() {
+        const name = ['AndroidInterface', 'Android', 'JSInterface'].find(candidate => {
+            return window[candidate] && typeof window[candidate].postMessage === 'function';
+        });
+        return name ? window[name] : null;
+    },
+
+    /**
+     * Generates a message ID
+     * @returns {string} ID
+     * @private
+     */
+    _newId: function() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NativeBridge;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return NativeBridge; });
+} else {
+    window.NativeBridge = NativeBridge;
+}
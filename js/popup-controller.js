@@ -0,0 +1,248 @@
+/**
+ * Popup Controller
+ *
+ * Runs the SDK popup flow: open a window synchronously inside the user
+ * gesture, then navigate it to the bridge once the checkout is ready.
+ * Detects blocked popups (falling back to a same-tab redirect), watches
+ * whether the popup was closed, and receives lifecycle messages that the
+ * bridge page posts back with PopupController.notifyOpener().
+ *
+ * Opener:
+ *   const popup = PopupController.open(); // inside the click handler
+ *   popup.onChange(state => console.log(state, popup.timings));
+ *   popup.navigate('bridge.html'); // now or after an async step
+ *
+ * Bridge (inside the popup):
+ *   PopupController.notifyOpener('outcome', { outcome: 'app-opened' });
+ *
+ * Popup states: "opened", "blocked", "navigating", "redirected" (blocked
+ * popup fell back to a same-tab redirect), "loaded", "launched",
+ * "app-opened", "stayed-in-browser", "returned-from-app", "unknown" and
+ * "closed".
+ */
+
+const PopupController = {
+    /**
+     * Default popup options
+     */
+    defaults: {
+        name: '_blank', // Window name passed to window.open
+        features: '', // Window features passed to window.open
+        fallback: 'redirect', // 'redirect' navigates this tab when the popup is blocked, 'none' does nothing
+        loadingText: 'Loading…', // Shown in the blank popup until it is navigated
+        pollIntervalMs: 250 // How often to check whether the popup was closed
+    },
+
+    /**
+     * Message type used between the popup and its opener
+     */
+    messageType: 'app-switch-popup',
+
+    /**
+     * Prefix of the window name that identifies a controlled popup
+     */
+    windowNamePrefix: 'app-switch-popup:',
+
+    _nextId: 1,
+
+    /**
+     * Opens a blank popup. Must be called synchronously inside a user gesture.
+     * @param {Object} options Popup options, see PopupController.defaults
+     * @returns {Object} Popup handle
+     */
+    open: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const self = this;
+        const id = `${Date.now().toString(36)}-${this._nextId++}`;
+        const listeners = [];
+        let pollTimer = null;
+
+        let win = null;
+        try {
+            win = window.open('about:blank', config.name, config.features);
+        } catch (error) {
+            console.error('window.open failed:', error);
+        }
+
+        const popup = {
+            id: id,
+            window: win,
+            blocked: !win || win.closed,
+            state: null,
+            events: [],
+            timings: {
+                openedAt: Date.now(),
+                navigatedAt: null,
+                loadedAt: null,
+                launchedAt: null,
+                outcomeAt: null,
+                closedAt: null
+            },
+
+            /**
+             * Navigates the popup, or this tab when the popup was blocked
+             * @param {string} url URL to open
+             */
+            navigate: function(url) {
+                const target = new URL(url, window.location.href).href;
+                popup.timings.navigatedAt = Date.now();
+
+                if (popup.blocked) {
+                    if (config.fallback === 'redirect') {
+                        setState('redirected', { url: target });
+                        window.location.assign(target);
+                    }
+                    return;
+                }
+                if (popup.window.closed) {
+                    setState('closed');
+                    return;
+                }
+
+                setState('navigating', { url: target });
+                popup.window.location.replace(target);
+            },
+
+            /**
+             * Closes the popup
+             */
+            close: function() {
+                if (popup.window && !popup.window.closed) {
+                    popup.window.close();
+                }
+                checkClosed();
+            },
+
+            /**
+             * Registers a listener called with (state, detail) on every state change
+             * @param {Function} listener Listener
+             * @returns {Function} Function that removes the listener
+             */
+            onChange: function(listener) {
+                listeners.push(listener);
+                return function() {
+                    const index = listeners.indexOf(listener);
+                    if (index !== -1) {
+                        listeners.splice(index, 1);
+                    }
+                };
+            }
+        };
+
+        const setState = function(state, detail = null) {
+            popup.state = state;
+            popup.events.push({ state: state, at: Date.now(), detail: detail });
+            listeners.slice().forEach(function(listener) {
+                try {
+                    listener(state, detail);
+                } catch (error) {
+                    console.error('Error in popup listener:', error);
+                }
+            });
+        };
+
+        const stopWatching = function() {
+            clearInterval(pollTimer);
+            window.removeEventListener('message', onMessage);
+        };
+
+        const checkClosed = function() {
+            if (popup.window && popup.window.closed && popup.state !== 'closed') {
+                popup.timings.closedAt = Date.now();
+                stopWatching();
+                setState('closed');
+            }
+        };
+
+        const onMessage = function(event) {
+            const message = event.data;
+            if (event.source !== popup.window || event.origin !== window.location.origin ||
+                !message || message.type !== self.messageType || message.popupId !== id) {
+                return;
+            }
+
+            if (message.event === 'loaded') {
+                popup.timings.loadedAt = Date.now();
+                setState('loaded', message.detail);
+            } else if (message.event === 'launched') {
+                popup.timings.launchedAt = Date.now();
+                setState('launched', message.detail);
+            } else if (message.event === 'outcome' && message.detail && message.detail.outcome) {
+                popup.timings.outcomeAt = Date.now();
+                setState(message.detail.outcome, message.detail);
+            }
+        };
+
+        if (popup.blocked) {
+            // Report asynchronously so callers can register listeners first
+            Promise.resolve().then(function() {
+                setState('blocked');
+            });
+            return popup;
+        }
+
+        // The blank popup is same-origin until it navigates; label it so the
+        // bridge can find its popup ID, and show something while it waits
+        try {
+            win.name = this.windowNamePrefix + id;
+            if (config.loadingText && win.document.body) {
+                win.document.title = config.loadingText;
+                win.document.body.textContent = config.loadingText;
+            }
+        } catch (error) {
+            console.error('Could not prepare the popup:', error);
+        }
+
+        window.addEventListener('message', onMessage);
+        pollTimer = setInterval(checkClosed, config.pollIntervalMs);
+        Promise.resolve().then(function() {
+            setState('opened');
+        });
+        return popup;
+    },
+
+    /**
+     * Reports a lifecycle event to the window that opened this popup. Does
+     * nothing when the page was not opened by PopupController.open().
+     * @param {string} event "loaded", "launched" or "outcome"
+     * @param {Object} detail Event data; for "outcome", a LaunchOutcome.track() result
+     * @returns {boolean} True if the message was posted
+     */
+    notifyOpener: function(event, detail = null) {
+        const popupId = this.popupId();
+        if (!popupId || !window.opener) {
+            return false;
+        }
+
+        try {
+            window.opener.postMessage({
+                type: this.messageType,
+                popupId: popupId,
+                event: event,
+                detail: detail
+            }, window.location.origin);
+            return true;
+        } catch (error) {
+            console.error('Could not notify the opener:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Returns the popup ID of this window, if it was opened by PopupController.open()
+     * @returns {string|null} Popup ID
+     */
+    popupId: function() {
+        return window.name && window.name.indexOf(this.windowNamePrefix) === 0 ?
+            window.name.slice(this.windowNamePrefix.length) : null;
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopupController;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return PopupController; });
+} else {
+    window.PopupController = PopupController;
+}
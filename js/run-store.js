@@ -0,0 +1,319 @@
+/**
+ * Experiment Run Store
+ *
+ * Keeps a structured record of every app switch attempt in localStorage so
+ * testers on real devices can export all their runs as one JSONL file.
+ *
+ * Record fields: id, recordedAt, page, scenario, detection (AppDetection.detect()
+ * output when app-detection.js is loaded), activation (user activation at
+ * launch), launch (AppSwitch launch record), outcome and timings (from
+ * LaunchOutcome), userAgent.
+ *
+ * Usage from a bridge page, reading the page state before the launch:
+ *   const snapshot = RunStore.snapshot();
+ *   AppSwitch.launch(url, options).then(launch => RunStore.track(Object.assign(snapshot, { launch: launch })));
+ */
+
+const RunStore = {
+    /**
+     * Default options
+     */
+    defaults: {
+        key: 'app-switch-runs', // localStorage key
+        maxRecords: 500, // Oldest records are dropped beyond this
+        outcomeTimeoutMs: 3000 // Passed to LaunchOutcome.track()
+    },
+
+    /**
+     * Outcomes that count as a successful app switch in summaries
+     */
+    successOutcomes: ['app-opened', 'returned-from-app'],
+
+    /**
+     * Reads the page state a run record needs before launching: navigating
+     * away changes the detection inputs and may consume the user activation
+     * @returns {Object} { detection, activation }, to pass along to track() or save()
+     */
+    snapshot: function() {
+        return {
+            detection: this._detect(),
+            activation: this._activation()
+        };
+    },
+
+    /**
+     * Records a launch right away (outcome "pending") and updates the record
+     * when LaunchOutcome settles, so runs that never come back still show up
+     * @param {Object} run Run fields
+     * @param {Object} run.launch AppSwitch launch record ({ url, strategy, launchedAt })
+     * @param {Object} run.scenario Scenario configuration
+     * @param {Object} options Options, see RunStore.defaults
+     * @returns {Promise} Promise resolving to the final record
+     */
+    track: function(run = {}, options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const record = this.save(Object.assign({ outcome: 'pending' }, run), config);
+
+        if (typeof LaunchOutcome === 'undefined') {
+            return Promise.resolve(record);
+        }
+
+        return LaunchOutcome.track({
+            startedAt: record.launch ? record.launch.launchedAt : null,
+            timeoutMs: config.outcomeTimeoutMs
+        }).then(result => {
+            return this.save(Object.assign(record, { outcome: result.outcome, timings: result.timings }), config);
+        });
+    },
+
+    /**
+     * Stores a record, filling in the fields that can be read from the page.
+     * A record with an existing id replaces the stored one. Activation is the
+     * one read by AppSwitch at launch when the launch record has it; detection
+     * and activation are only read now when the run has none, see snapshot().
+     * @param {Object} run Run fields
+     * @param {Object} options Options, see RunStore.defaults
+     * @returns {Object} The stored record
+     */
+    save: function(run, options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const record = Object.assign({
+            id: this._newId(),
+            recordedAt: new Date().toISOString(),
+            page: window.location.pathname,
+            scenario: null,
+            launch: null,
+            outcome: null,
+            timings: null,
+            userAgent: navigator.userAgent
+        }, run);
+
+        if (!('detection' in record)) {
+            record.detection = this._detect();
+        }
+        if (record.launch && record.launch.activation) {
+            record.activation = record.launch.activation;
+        } else if (!('activation' in record)) {
+            record.activation = this._activation();
+        }
+
+        const records = this.list(config).filter(stored => stored.id !== record.id);
+        records.push(record);
+        this._write(records.slice(-config.maxRecords), config);
+        return record;
+    },
+
+    /**
+     * Returns all stored records, oldest first
+     * @param {Object} options Options, see RunStore.defaults
+     * @returns {Array} Records
+     */
+    list: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        try {
+            const records = JSON.parse(window.localStorage.getItem(config.key));
+            return Array.isArray(records) ? records : [];
+        } catch (error) {
+            console.error('Could not read stored runs:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Removes all stored records
+     * @param {Object} options Options, see RunStore.defaults
+     */
+    clear: function(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        window.localStorage.removeItem(config.key);
+    },
+
+    /**
+     * Serializes records as JSON Lines
+     * @param {Array} records Records, defaults to all stored records
+     * @returns {string} One JSON object per line
+     */
+    toJsonl: function(records = this.list()) {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+    },
+
+    /**
+     * Parses JSON Lines
+     * @param {string} text JSONL text
+     * @returns {Object} { records, errors } where errors lists { line, message }
+     */
+    fromJsonl: function(text) {
+        const records = [];
+        const errors = [];
+
+        String(text).split(/\r?\n/).forEach(function(line, index) {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                const record = JSON.parse(line);
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    throw new Error('Line is not a JSON object');
+                }
+                records.push(record);
+            } catch (error) {
+                errors.push({ line: index + 1, message: error.message });
+            }
+        });
+
+        return { records: records, errors: errors };
+    },
+
+    /**
+     * Merges JSONL records into the store, replacing records with the same id
+     * @param {string} text JSONL text
+     * @param {Object} options Options, see RunStore.defaults
+     * @returns {Object} { imported, errors }
+     */
+    importJsonl: function(text, options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const parsed = this.fromJsonl(text);
+        const byId = {};
+
+        this.list(config).concat(parsed.records).forEach(record => {
+            if (!record.id) {
+                record.id = this._newId();
+            }
+            byId[record.id] = record;
+        });
+
+        const records = Object.keys(byId).map(id => byId[id]).sort(function(a, b) {
+            return String(a.recordedAt).localeCompare(String(b.recordedAt));
+        });
+        this._write(records.slice(-config.maxRecords), config);
+        return { imported: parsed.records.length, errors: parsed.errors };
+    },
+
+    /**
+     * Downloads records as a .jsonl file
+     * @param {Array} records Records, defaults to all stored records
+     * @param {string} filename File name
+     */
+    download: function(records = this.list(), filename = `app-switch-runs-${new Date().toISOString().slice(0, 10)}.jsonl`) {
+        const blob = new Blob([this.toJsonl(records)], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = filename;
+        document.body.appendChild(anchor);
+        anchor.click();
+        anchor.remove();
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    },
+
+    /**
+     * Aggregates success rates per browser, container and strategy.
+     * Pending runs are counted but excluded from the rate.
+     * @param {Array} records Records, defaults to all stored records
+     * @returns {Object} { total, byBrowser, byContainer, byStrategy, byOutcome }
+     */
+    summarize: function(records = this.list()) {
+        const summary = { total: records.length, byBrowser: {}, byContainer: {}, byStrategy: {}, byOutcome: {} };
+
+        const add = (group, key, record) => {
+            const entry = group[key] || (group[key] = { runs: 0, settled: 0, successes: 0, successRate: null });
+            entry.runs++;
+            if (record.outcome && record.outcome !== 'pending') {
+                entry.settled++;
+                if (this.successOutcomes.includes(record.outcome)) {
+                    entry.successes++;
+                }
+            }
+            entry.successRate = entry.settled ? Math.round(entry.successes / entry.settled * 1000) / 10 : null;
+        };
+
+        records.forEach(record => {
+            add(summary.byBrowser, this._browserKey(record), record);
+            add(summary.byContainer, (record.scenario && record.scenario.container) || 'same-tab', record);
+            add(summary.byStrategy, (record.launch && record.launch.strategy) ||
+                (record.scenario && record.scenario.method) || 'unknown', record);
+            summary.byOutcome[record.outcome || 'unknown'] = (summary.byOutcome[record.outcome || 'unknown'] || 0) + 1;
+        });
+
+        return summary;
+    },
+
+    /**
+     * Names the browser/environment of a record for summaries
+     * @param {Object} record Record
+     * @returns {string} Browser key
+     * @private
+     */
+    _browserKey: function(record) {
+        const detection = record.detection;
+        if (detection) {
+            const app = detection.detectedApp && detection.detectedApp.name;
+            return app ? `${app} (${detection.detectionResult})` : (detection.detectionResult || 'unknown');
+        }
+        return record.userAgent || 'unknown';
+    },
+
+    /**
+     * Runs AppDetection when it is loaded on the page
+     * @returns {Object|null} Detection result
+     * @private
+     */
+    _detect: function() {
+        if (typeof AppDetection === 'undefined') {
+            return null;
+        }
+        try {
+            return AppDetection.detect();
+        } catch (error) {
+            console.error('Detection failed:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Reads the user-activation state
+     * @returns {Object} { isActive, hasBeenActive }, null values when unsupported
+     * @private
+     */
+    _activation: function() {
+        const userActivation = navigator.userActivation;
+        return {
+            isActive: userActivation ? userActivation.isActive : null,
+            hasBeenActive: userActivation ? userActivation.hasBeenActive : null
+        };
+    },
+
+    /**
+     * Writes records to localStorage
+     * @param {Array} records Records
+     * @param {Object} config Options
+     * @private
+     */
+    _write: function(records, config) {
+        try {
+            window.localStorage.setItem(config.key, JSON.stringify(records));
+        } catch (error) {
+            console.error('Could not store runs:', error);
+        }
+    },
+
+    /**
+     * Generates a record ID
+     * @returns {string} ID
+     * @private
+     */
+    _newId: function() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunStore;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return RunStore; });
+} else {
+    window.RunStore = RunStore;
+}
@@ -0,0 +1,407 @@
+/**
+ * App Switch Scenario Runner
+ *
+ * Describes an app switch experiment as a set of dimensions instead of a
+ * hand-written HTML file, builds a shareable permalink for it and runs it,
+ * producing a results record per run. Used by scenario.html.
+ *
+ * Dimensions:
+ * - link: "universal" or "intent"
+ * - host: "www" (www.paypal.com) or "apex" (paypal.com)
+ * - method: an AppSwitch strategy (assign, replace, href, window-open, anchor, form)
+ * - delayMs: delay between the trigger and the launch
+ * - gesture: "direct" (real click), "simulated" (script-dispatched click) or "none"
+ * - container: "same-tab", "popup" or "iframe"
+ *
+ * Depends on AppSwitch and LaunchOutcome; IntentUrl for intent links and
+ * PopupController for the popup container.
+ */
+
+const Scenario = {
+    /**
+     * Default scenario
+     */
+    defaults: {
+        name: '',
+        link: 'universal',
+        host: 'www',
+        path: 'app-switch-checkout',
+        tokenParam: 'ba_token',
+        token: 'BA-0BB96931BX4549228',
+        tokenType: '',
+        package: 'com.paypal.android.p2pmobile',
+        method: 'assign',
+        delayMs: 0,
+        gesture: 'direct',
+        container: 'same-tab',
+        outcomeTimeoutMs: 3000
+    },
+
+    /**
+     * Allowed values of the enumerated dimensions
+     */
+    dimensions: {
+        link: ['universal', 'intent'],
+        host: ['www', 'apex'],
+        method: ['assign', 'replace', 'href', 'window-open', 'anchor', 'form'],
+        gesture: ['direct', 'simulated', 'none'],
+        container: ['same-tab', 'popup', 'iframe']
+    },
+
+    /**
+     * Query parameter names for each scenario field
+     */
+    params: {
+        name: 'name',
+        link: 'link',
+        host: 'host',
+        path: 'path',
+        tokenParam: 'tokenParam',
+        token: 'token',
+        tokenType: 'tokenType',
+        package: 'package',
+        method: 'method',
+        delayMs: 'delay',
+        gesture: 'gesture',
+        container: 'container',
+        outcomeTimeoutMs: 'outcomeTimeout'
+    },
+
+    /**
+     * Message type used by nested (popup / iframe) runs to report back
+     */
+    messageType: 'app-switch-scenario',
+
+    /**
+     * Builds a validated scenario from defaults and overrides
+     * @param {Object} overrides Scenario fields
+     * @returns {Object} Scenario
+     */
+    create: function(overrides = {}) {
+        const scenario = Object.assign({}, this.defaults);
+        Object.keys(this.defaults).forEach(key => {
+            if (overrides[key] !== undefined && overrides[key] !== null) {
+                scenario[key] = overrides[key];
+            }
+        });
+
+        ['delayMs', 'outcomeTimeoutMs'].forEach(function(key) {
+            const value = parseInt(scenario[key], 10);
+            if (isNaN(value) || value < 0) {
+                throw new Error(`${key} must be a non-negative number.`);
+            }
+            scenario[key] = value;
+        });
+
+        Object.keys(this.dimensions).forEach(key => {
+            if (!this.dimensions[key].includes(scenario[key])) {
+                throw new Error(`Invalid ${key} "${scenario[key]}". Expected one of: ${this.dimensions[key].join(', ')}`);
+            }
+        });
+
+        if (!scenario.token) {
+            throw new Error('A token is required.');
+        }
+        return scenario;
+    },
+
+    /**
+     * Reads a scenario from query parameters. A `scenario` parameter holding
+     * JSON is applied first, individual parameters override it.
+     * @param {string} search Query string, defaults to this page's
+     * @returns {Object} Scenario
+     */
+    fromQuery: function(search = window.location.search) {
+        const query = new URLSearchParams(search);
+        let overrides = {};
+
+        if (query.has('scenario')) {
+            try {
+                overrides = JSON.parse(query.get('scenario'));
+            } catch (error) {
+                throw new Error('The scenario parameter is not valid JSON.');
+            }
+        }
+
+        Object.keys(this.params).forEach(key => {
+            if (query.has(this.params[key])) {
+                overrides[key] = query.get(this.params[key]);
+            }
+        });
+        return this.create(overrides);
+    },
+
+    /**
+     * Reads a scenario from JSON
+     * @param {string|Object} json JSON text or parsed object
+     * @returns {Object} Scenario
+     */
+    fromJson: function(json) {
+        return this.create(typeof json === 'string' ? JSON.parse(json) : json);
+    },
+
+    /**
+     * Serializes a scenario to query parameters, leaving out default values
+     * @param {Object} scenario Scenario
+     * @returns {string} Query string without the leading "?"
+     */
+    toQuery: function(scenario) {
+        const query = new URLSearchParams();
+        Object.keys(this.params).forEach(key => {
+            if (scenario[key] !== undefined && String(scenario[key]) !== String(this.defaults[key])) {
+                query.set(this.params[key], scenario[key]);
+            }
+        });
+        return query.toString();
+    },
+
+    /**
+     * Builds the shareable URL of a scenario
+     * @param {Object} scenario Scenario
+     * @param {string} base Scenario page URL, defaults to this page
+     * @returns {string} Permalink
+     */
+    permalink: function(scenario, base = window.location.href) {
+        const url = new URL(base, window.location.href);
+        url.search = this.toQuery(scenario);
+        url.hash = '';
+        return url.href;
+    },
+
+    /**
+     * Builds the link a scenario opens
+     * @param {Object} scenario Scenario
+     * @returns {string} Universal Link or intent:// URL
+     */
+    buildLink: function(scenario) {
+        const url = new URL(`https://${scenario.host === 'www' ? 'www.' : ''}paypal.com/${scenario.path.replace(/^\//, '')}`);
+        url.searchParams.set(scenario.tokenParam, scenario.token);
+        if (scenario.tokenType) {
+            url.searchParams.set('tokenType', scenario.tokenType);
+        }
+
+        if (scenario.link === 'intent') {
+            return IntentUrl.fromUniversalLink(url.href, { package: scenario.package });
+        }
+        return url.href;
+    },
+
+    /**
+     * Runs a scenario. Call it from the click handler for the "direct" gesture
+     * so the launch stays inside the gesture, and outside of any user gesture
+     * (e.g. on page load) for "simulated" and "none": a click handler would
+     * lend them its activation. A run that launches with activation anyway
+     * gets an error in its record.
+     * @param {Object} scenario Scenario
+     * @param {Object} options Run options
+     * @param {Function} options.onResult Called with the results record when the run settles
+     * @param {string} options.page URL of the scenario page, used for nested runs
+     * @returns {Object} Results record, completed in place when the run settles
+     */
+    run: function(scenario, options = {}) {
+        const record = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            scenario: scenario,
+            permalink: this.permalink(scenario, options.page),
+            link: this.buildLink(scenario),
+            startedAt: Date.now(),
+            userAgent: navigator.userAgent,
+            activation: this._activation(),
+            launch: null,
+            outcome: null,
+            error: null
+        };
+
+        const settle = function(fields) {
+            Object.assign(record, fields, { settledAt: Date.now() });
+            if (options.onResult) {
+                options.onResult(record);
+            }
+        };
+
+        if (scenario.container === 'popup') {
+            this._runInPopup(scenario, record, options, settle);
+        } else if (scenario.container === 'iframe') {
+            this._runInIframe(scenario, record, options, settle);
+        } else {
+            this._runTrigger(scenario, () => this._launch(scenario, record, settle));
+        }
+        return record;
+    },
+
+    /**
+     * Runs the launch through the scenario's gesture source
+     * @param {Object} scenario Scenario
+     * @param {Function} launch Function that launches
+     * @private
+     */
+    _runTrigger: function(scenario, launch) {
+        if (scenario.gesture !== 'simulated') {
+            launch();
+            return;
+        }
+
+        // A script-dispatched click runs the handler without granting activation
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.style.display = 'none';
+        button.addEventListener('click', function() {
+            button.remove();
+            launch();
+        });
+        document.body.appendChild(button);
+        button.click();
+    },
+
+    /**
+     * Launches the link in this window and tracks the outcome
+     * @param {Object} scenario Scenario
+     * @param {Object} record Results record
+     * @param {Function} settle Completes the record
+     * @private
+     */
+    _launch: function(scenario, record, settle) {
+        AppSwitch.launch(record.link, {
+            strategy: scenario.method,
+            delayMs: scenario.delayMs
+        })
+            .then(launch => {
+                record.launch = launch;
+                if (scenario.gesture !== 'direct' && launch.activation && launch.activation.isActive) {
+                    record.error = `Launched with user activation, so the "${scenario.gesture}" gesture was not reproduced.`;
+                }
+                return LaunchOutcome.track({ startedAt: launch.launchedAt, timeoutMs: scenario.outcomeTimeoutMs });
+            })
+            .then(function(result) {
+                settle({ outcome: result.outcome, timings: result.timings });
+            })
+            .catch(function(error) {
+                console.error('Scenario launch failed:', error);
+                settle({ outcome: 'error', error: error.message });
+            });
+    },
+
+    /**
+     * Opens the scenario page in a popup and runs the same-tab variant there
+     * @param {Object} scenario Scenario
+     * @param {Object} record Results record
+     * @param {Object} options Run options
+     * @param {Function} settle Completes the record
+     * @private
+     */
+    _runInPopup: function(scenario, record, options, settle) {
+        const popup = PopupController.open({ fallback: 'none' });
+        const nested = this._nestedUrl(scenario, options.page);
+        let settled = false;
+
+        record.container = { popupId: popup.id, states: [] };
+        popup.onChange(function(state, detail) {
+            record.container.states.push({ state: state, at: Date.now() });
+            if (settled) {
+                return;
+            }
+            if (state === 'blocked') {
+                settled = true;
+                settle({ outcome: 'popup-blocked' });
+            } else if (state === 'closed') {
+                settled = true;
+                settle({ outcome: 'popup-closed' });
+            } else if (detail && detail.type === Scenario.messageType) {
+                settled = true;
+                settle({ outcome: detail.record.outcome, nested: detail.record });
+            }
+        });
+
+        this._runTrigger(scenario, function() {
+            if (!popup.blocked) {
+                popup.navigate(nested);
+            }
+        });
+    },
+
+    /**
+     * Loads the scenario page in an iframe and runs the same-tab variant there
+     * @param {Object} scenario Scenario
+     * @param {Object} record Results record
+     * @param {Object} options Run options
+     * @param {Function} settle Completes the record
+     * @private
+     */
+    _runInIframe: function(scenario, record, options, settle) {
+        const iframe = document.createElement('iframe');
+        iframe.className = 'scenario-frame';
+        iframe.src = this._nestedUrl(scenario, options.page);
+        record.container = { frame: iframe.src };
+
+        const onMessage = function(event) {
+            const message = event.data;
+            if (event.source !== iframe.contentWindow || event.origin !== window.location.origin ||
+                !message || message.type !== Scenario.messageType) {
+                return;
+            }
+            window.removeEventListener('message', onMessage);
+            settle({ outcome: message.record.outcome, nested: message.record });
+        };
+        window.addEventListener('message', onMessage);
+
+        this._runTrigger(scenario, function() {
+            (options.frameContainer || document.body).appendChild(iframe);
+        });
+    },
+
+    /**
+     * Builds the URL of a nested run: same scenario, same tab, launched on load
+     * @param {Object} scenario Scenario
+     * @param {string} page Scenario page URL
+     * @returns {string} URL
+     * @private
+     */
+    _nestedUrl: function(scenario, page) {
+        const url = new URL(this.permalink(Object.assign({}, scenario, {
+            container: 'same-tab',
+            gesture: 'none'
+        }), page));
+        url.searchParams.set('run', 'nested');
+        return url.href;
+    },
+
+    /**
+     * Sends a nested run's record to the page that started it
+     * @param {Object} record Results record
+     * @returns {boolean} True if the record was posted
+     */
+    reportToParent: function(record) {
+        const message = { type: this.messageType, record: record };
+
+        if (typeof PopupController !== 'undefined' && PopupController.popupId()) {
+            return PopupController.notifyOpener('outcome', Object.assign({ outcome: record.outcome }, message));
+        }
+        if (window.parent !== window) {
+            window.parent.postMessage(message, window.location.origin);
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Reads the user-activation state
+     * @returns {Object} { isActive, hasBeenActive }, null values when unsupported
+     * @private
+     */
+    _activation: function() {
+        const userActivation = navigator.userActivation;
+        return {
+            isActive: userActivation ? userActivation.isActive : null,
+            hasBeenActive: userActivation ? userActivation.hasBeenActive : null
+        };
+    }
+};
+
+// Export for CommonJS/ES modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scenario;
+} else if (typeof define === 'function' && define.amd) {
+    define([], function() { return Scenario; });
+} else {
+    window.Scenario = Scenario;
+}
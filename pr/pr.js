@@ -1,37 +1,339 @@
 /**
- * Initializes the payment request object.
- * @param {string} amount - The payment amount
- * @return {PaymentRequest} The payment request object.
+ * Payment method presets that a config can refer to by name.
  */
-function buildPaymentRequest(amount = '0.01') {
-  if (!window.PaymentRequest) {
-    error('Payment Request API is not supported or not enabled.');
-    return null;
+const METHOD_PRESETS = {
+  bobpay: function() {
+    return {
+      supportedMethods: 'https://bobbucks.dev/pay',
+      data: {
+        testField: 'test value',
+        returnValue: document.getElementById('returnValue').value,
+      },
+    };
+  },
+  googlepay: function() {
+    return {
+      supportedMethods: 'https://google.com/pay',
+      data: {
+        environment: getGooglePaySandboxEnvironmentName(),
+        apiVersion: 2,
+        apiVersionMinor: 0,
+        merchantInfo: {
+          merchantName: 'Test Merchant',
+        },
+        allowedPaymentMethods: [{
+          type: 'CARD',
+          parameters: {
+            allowedAuthMethods: ['PAN_ONLY', 'CRYPTOGRAM_3DS'],
+            allowedCardNetworks: ['AMEX', 'DISCOVER', 'MASTERCARD', 'VISA'],
+          },
+          tokenizationSpecification: {
+            type: 'PAYMENT_GATEWAY',
+            parameters: {
+              gateway: 'example',
+              gatewayMerchantId: 'exampleGatewayMerchantId',
+            },
+          },
+        }],
+      },
+    };
+  },
+};
+
+/**
+ * The config used when the URL has none.
+ */
+const DEFAULT_CONFIG = {
+  methods: ['bobpay'],
+  currency: 'USD',
+  total: '0.01',
+  displayItems: [],
+  modifiers: [],
+  shippingOptions: [],
+  options: {
+    requestPayerName: false,
+    requestPayerEmail: false,
+    requestPayerPhone: false,
+    requestShipping: false,
+    shippingType: 'shipping',
+  },
+  responses: {
+    paymentmethodchange: {error: 'Error for testing'},
+  },
+  showTimeoutMs: 0,
+  retry: [],
+  completeResult: 'success',
+};
+
+/**
+ * The change events that scripted responses can answer.
+ */
+const CHANGE_EVENTS = [
+  'paymentmethodchange',
+  'shippingaddresschange',
+  'shippingoptionchange',
+];
+
+/**
+ * Reads the harness config from the URL. The "config" parameter holds the
+ * JSON config; "amount", "currency" and "methods" (comma separated preset
+ * names) override single fields.
+ * @param {string} search - The query string, defaults to this page's.
+ * @return {object} The config, merged over DEFAULT_CONFIG.
+ */
+function getConfig(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  let overrides = {};
+  if (params.has('config')) {
+    try {
+      overrides = JSON.parse(params.get('config'));
+    } catch (e) {
+      throw new Error('The config parameter is not valid JSON: ' + e.message);
+    }
+  }
+  if (params.has('amount')) {
+    overrides.total = params.get('amount');
+  }
+  if (params.has('currency')) {
+    overrides.currency = params.get('currency');
+  }
+  if (params.has('methods')) {
+    overrides.methods = params.get('methods').split(',').filter(Boolean);
   }
+  return validateConfig(Object.assign({}, DEFAULT_CONFIG, overrides, {
+    options: Object.assign({}, DEFAULT_CONFIG.options, overrides.options),
+    responses: Object.assign({}, DEFAULT_CONFIG.responses, overrides.responses),
+  }));
+}
 
-  const returnValue = document.getElementById('returnValue').value;
-  const supportedInstruments = [{
-    supportedMethods: 'https://bobbucks.dev/pay',
-    data: {
-      testField: 'test value',
-      returnValue,
-    },
-  }];
+/**
+ * Checks a config for the mistakes that PaymentRequest reports less clearly.
+ * @param {object} config - The config to check.
+ * @return {object} The same config.
+ */
+function validateConfig(config) {
+  if (!Array.isArray(config.methods) || config.methods.length === 0) {
+    throw new Error('The config needs at least one payment method.');
+  }
+  config.methods.forEach(function(method) {
+    if (typeof method === 'string' && !METHOD_PRESETS[method]) {
+      throw new Error('Unknown payment method preset "' + method +
+          '". Known presets: ' + Object.keys(METHOD_PRESETS).join(', '));
+    }
+    if (typeof method !== 'string' && (!method || !method.supportedMethods)) {
+      throw new Error('Payment methods need a "supportedMethods" URL.');
+    }
+  });
+  if (!/^[A-Z]{3}$/.test(config.currency)) {
+    throw new Error('The currency must be a three-letter ISO 4217 code, ' +
+        'not "' + config.currency + '".');
+  }
+  ['displayItems', 'modifiers', 'shippingOptions'].forEach(function(key) {
+    if (!Array.isArray(config[key])) {
+      throw new Error('"' + key + '" must be an array.');
+    }
+  });
+  if (!Array.isArray(config.retry)) {
+    throw new Error('"retry" must be an array of PaymentValidationErrors.');
+  }
+  if (!['success', 'fail', 'unknown'].includes(config.completeResult)) {
+    throw new Error('"completeResult" must be "success", "fail" or "unknown".');
+  }
+  if (typeof config.showTimeoutMs !== 'number' || config.showTimeoutMs < 0) {
+    throw new Error('"showTimeoutMs" must be a non-negative number.');
+  }
+  Object.keys(config.responses).forEach(function(type) {
+    if (!CHANGE_EVENTS.includes(type)) {
+      throw new Error('Unknown event "' + type + '" in responses. ' +
+          'Scriptable events: ' + CHANGE_EVENTS.join(', '));
+    }
+  });
+  return config;
+}
+
+/**
+ * Converts a config amount into a PaymentCurrencyAmount.
+ * @param {string|number|object} amount - A value, or {currency, value}.
+ * @param {string} currency - The currency of plain values.
+ * @return {object} The PaymentCurrencyAmount.
+ */
+function toAmount(amount, currency) {
+  if (amount && typeof amount === 'object') {
+    return {currency: amount.currency || currency, value: String(amount.value)};
+  }
+  return {currency, value: String(amount)};
+}
+
+/**
+ * Converts config line items into PaymentItems.
+ * @param {Array} items - Items as {label, amount, pending}.
+ * @param {string} currency - The currency of plain amounts.
+ * @return {Array} The PaymentItems.
+ */
+function toItems(items, currency) {
+  return (items || []).map(function(item) {
+    return Object.assign({}, item, {amount: toAmount(item.amount, currency)});
+  });
+}
+
+/**
+ * Converts config modifiers into PaymentDetailsModifiers.
+ * @param {Array} modifiers - Modifiers with plain or object amounts.
+ * @param {string} currency - The currency of plain amounts.
+ * @return {Array} The PaymentDetailsModifiers.
+ */
+function toModifiers(modifiers, currency) {
+  return modifiers.map(function(modifier) {
+    const result = Object.assign({}, modifier);
+    if (modifier.total !== undefined) {
+      result.total = {label: 'Total', amount: toAmount(modifier.total, currency)};
+    }
+    if (modifier.additionalDisplayItems) {
+      result.additionalDisplayItems =
+          toItems(modifier.additionalDisplayItems, currency);
+    }
+    return result;
+  });
+}
+
+/**
+ * Builds the PaymentRequest constructor arguments from a config.
+ * @param {object} config - The harness config.
+ * @return {object} The {methodData, details, options} arguments.
+ */
+function buildRequestArguments(config) {
+  const methodData = config.methods.map(function(method) {
+    return typeof method === 'string' ? METHOD_PRESETS[method]() : method;
+  });
 
   const details = {
     total: {
       label: 'Total',
-      amount: {
-        currency: 'USD',
-        value: amount,
-      },
+      amount: toAmount(config.total, config.currency),
     },
+    displayItems: toItems(config.displayItems, config.currency),
+    modifiers: toModifiers(config.modifiers, config.currency),
+  };
+  if (config.options.requestShipping) {
+    details.shippingOptions = toItems(config.shippingOptions, config.currency);
+  }
+
+  return {methodData, details, options: config.options};
+}
+
+/**
+ * Picks the scripted response for a change event. A response is one rule or
+ * a list of rules; the first rule whose "when" fields all match the event
+ * wins. Rules without "when" match every event.
+ * @param {object} config - The harness config.
+ * @param {string} type - The event type.
+ * @param {object} facts - What the event is about, e.g. {methodName}.
+ * @return {object} The rule, or null when there is none.
+ */
+function findResponse(config, type, facts) {
+  const response = config.responses[type];
+  if (!response) {
+    return null;
+  }
+  const rules = Array.isArray(response) ? response : [response];
+  return rules.find(function(rule) {
+    return Object.keys(rule.when || {}).every(function(key) {
+      return facts[key] === rule.when[key];
+    });
+  }) || null;
+}
+
+/**
+ * Converts a scripted response into a PaymentDetailsUpdate.
+ * @param {object} rule - The rule: total, displayItems, shippingOptions,
+ *     modifiers, error, shippingAddressErrors, paymentMethodErrors.
+ * @param {object} config - The harness config.
+ * @return {object} The PaymentDetailsUpdate.
+ */
+function buildDetailsUpdate(rule, config) {
+  const update = {};
+  if (rule.total !== undefined) {
+    update.total = {label: 'Total', amount: toAmount(rule.total, config.currency)};
+  }
+  if (rule.displayItems) {
+    update.displayItems = toItems(rule.displayItems, config.currency);
+  }
+  if (rule.shippingOptions) {
+    update.shippingOptions = toItems(rule.shippingOptions, config.currency);
+  }
+  if (rule.modifiers) {
+    update.modifiers = toModifiers(rule.modifiers, config.currency);
+  }
+  ['error', 'shippingAddressErrors', 'paymentMethodErrors'].forEach(function(key) {
+    if (rule[key] !== undefined) {
+      update[key] = rule[key];
+    }
+  });
+  return update;
+}
+
+/**
+ * Answers a change event with its scripted response, after the rule's
+ * "delayMs" to simulate a slow merchant backend. A rule with "reject" fails
+ * the update, which aborts the payment.
+ * @param {PaymentRequest} request - The payment request.
+ * @param {PaymentRequestUpdateEvent} e - The change event.
+ * @param {object} config - The harness config.
+ */
+function respondToChange(request, e, config) {
+  const address = request.shippingAddress;
+  const facts = {
+    methodName: e.methodName,
+    shippingOption: request.shippingOption,
+    country: address ? address.country : undefined,
+    region: address ? address.region : undefined,
+    city: address ? address.city : undefined,
+    postalCode: address ? address.postalCode : undefined,
   };
+  info('"' + e.type + '" called on request', facts);
+
+  const rule = findResponse(config, e.type, facts);
+  if (!rule) {
+    info('No scripted response for "' + e.type + '", keeping the current details');
+    return;
+  }
+
+  const delayMs = rule.delayMs || 0;
+  const update = buildDetailsUpdate(rule, config);
+  if (rule.reject) {
+    info('Responding to "' + e.type + '" in ' + delayMs +
+        'ms with a rejection: ' + rule.reject);
+  } else {
+    info('Responding to "' + e.type + '" in ' + delayMs + 'ms', update);
+  }
+
+  e.updateWith(new Promise(function(resolve, reject) {
+    setTimeout(function() {
+      if (rule.reject) {
+        reject(new Error(rule.reject));
+      } else {
+        resolve(update);
+      }
+    }, delayMs);
+  }));
+}
+
+/**
+ * Initializes the payment request object.
+ * @param {object} config - The harness config, see DEFAULT_CONFIG.
+ * @return {PaymentRequest} The payment request object.
+ */
+function buildPaymentRequest(config = getConfig()) {
+  if (!window.PaymentRequest) {
+    error('Payment Request API is not supported or not enabled.');
+    return null;
+  }
 
   let request = null;
 
   try {
-    request = new PaymentRequest(supportedInstruments, details);
+    const args = buildRequestArguments(config);
+    request = new PaymentRequest(args.methodData, args.details, args.options);
     if (request.canMakePayment) {
       request.canMakePayment().then(function(result) {
         info(result ? 'Can make payment' : 'Cannot make payment');
@@ -48,67 +350,200 @@ function buildPaymentRequest(amount = '0.01') {
     }
   } catch (e) {
     error('Developer mistake: \'' + e.message + '\'');
+    return null;
   }
 
-  request.addEventListener('paymentmethodchange', e => {
-    info('"paymentmethodchange" called on request with method name ' + e.methodName);
-    info('Responding with an error, for testing');
-    e.updateWith({error: 'Error for testing'});
+  CHANGE_EVENTS.forEach(function(type) {
+    request.addEventListener(type, e => respondToChange(request, e, config));
   });
 
   return request;
 }
 
-let request = buildPaymentRequest();
+let request = null;
 
 /**
- * Handles the response from PaymentRequest.show().
- * @param {string} amount - The payment amount
+ * Where the current payment is: 'idle', 'showing', 'retrying' or 'completing'.
  */
-function handlePaymentResponse(response, amount = '0.01') {
-    response.complete('success')
-      .then(function() {
-        dismissPageDimmer();
-        info(JSON.stringify(response, undefined, 2));
-        request = buildPaymentRequest(amount);
-      })
-      .catch(function(err) {
-        dismissPageDimmer();
-        error(err);
-        request = buildPaymentRequest(amount);
-      });
+let paymentState = 'idle';
+
+/**
+ * The timer that aborts a payment after config.showTimeoutMs.
+ */
+let abortTimer = null;
+
+/**
+ * Updates the payment state and its display.
+ * @param {string} state - The new state.
+ */
+function setPaymentState(state) {
+  paymentState = state;
+  const element = document.getElementById('paymentState');
+  if (element) {
+    element.textContent = state;
+  }
 }
 
 /**
- * Launches payment request for Bob Pay.
- * @param {string} amount - The payment amount
+ * Aborts the payment after config.showTimeoutMs, if set.
+ * @param {object} config - The harness config.
  */
-function onBuyClicked(amount = '0.01') { // eslint-disable-line no-unused-vars
-  if (!window.PaymentRequest || !request) {
-    error('Payment Request API is not supported or not enabled.');
+function startAbortTimer(config) {
+  clearAbortTimer();
+  if (config.showTimeoutMs > 0) {
+    abortTimer = setTimeout(function() {
+      abortPayment('No response within ' + config.showTimeoutMs + 'ms');
+    }, config.showTimeoutMs);
+  }
+}
+
+/**
+ * Cancels the abort timer.
+ */
+function clearAbortTimer() {
+  clearTimeout(abortTimer);
+  abortTimer = null;
+}
+
+/**
+ * Aborts the payment in progress. show() or retry() then rejects with an
+ * AbortError, which ends the payment.
+ * @param {string} reason - Why, for the log.
+ */
+function abortPayment(reason) {
+  clearAbortTimer();
+  if (!request || (paymentState !== 'showing' && paymentState !== 'retrying')) {
+    info('No payment to abort');
     return;
   }
+  info('Aborting: ' + reason);
+  request.abort().then(function() {
+    info('Aborted');
+  }).catch(function(err) {
+    error('Could not abort: ' + err);
+  });
+}
+
+/**
+ * Ends the payment: clears the timer and the dimmer and builds a fresh
+ * request, since a PaymentRequest can only be shown once.
+ * @param {object} config - The harness config.
+ */
+function finishPayment(config) {
+  clearAbortTimer();
+  dismissPageDimmer();
+  setPaymentState('idle');
+  request = buildPaymentRequest(config);
+}
+
+/**
+ * Handles the response from PaymentRequest.show(). While config.retry has
+ * errors left, the response is retried with the next one; then it is
+ * completed with config.completeResult.
+ * @param {PaymentResponse} response - The payment response.
+ * @param {object} config - The harness config.
+ * @param {number} attempt - How many times the response was retried.
+ */
+function handlePaymentResponse(response, config, attempt = 0) {
+  clearAbortTimer();
+  info('Payment response', response);
+
+  const errors = config.retry[attempt];
+  if (errors) {
+    if (!response.retry) {
+      error('PaymentResponse.retry() is not supported.');
+    } else {
+      setPaymentState('retrying');
+      info('Retrying (' + (attempt + 1) + ' of ' + config.retry.length + ')',
+          errors);
+      if (attempt === 0) {
+        response.addEventListener('payerdetailchange', function() {
+          info('"payerdetailchange" called on response', response);
+        });
+      }
+      startAbortTimer(config);
+      response.retry(errors)
+        .then(() => handlePaymentResponse(response, config, attempt + 1))
+        .catch(function(err) {
+          error(err);
+          finishPayment(config);
+        });
+      return;
+    }
+  }
 
-  // Rebuild request with the specified amount
-  request = buildPaymentRequest(amount);
+  setPaymentState('completing');
+  response.complete(config.completeResult)
+    .then(function() {
+      info('Completed with "' + config.completeResult + '"');
+    })
+    .catch(function(err) {
+      error(err);
+    })
+    .then(function() {
+      finishPayment(config);
+    });
+}
+
+/**
+ * Launches payment request for the configured payment methods. Clicks
+ * while a payment is in progress are ignored.
+ * @param {object} config - The harness config, defaults to the URL's.
+ */
+function onBuyClicked(config) { // eslint-disable-line no-unused-vars
+  if (paymentState !== 'idle') {
+    info('A payment is already ' + paymentState + ', ignoring this click');
+    return;
+  }
 
   try {
-    showPageDimmer();
-    request.show()
-      .then(response => handlePaymentResponse(response, amount))
-      .catch(function(err) {
-        error(err);
-        request = buildPaymentRequest(amount);
-      });
+    config = config || getConfig();
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+
+  // Rebuild request with the current config
+  request = buildPaymentRequest(config);
+  if (!request) {
+    return;
+  }
+
+  let shown = null;
+  setPaymentState('showing');
+  showPageDimmer();
+  try {
+    shown = request.show();
   } catch (e) {
     error('Developer mistake: \'' + e.message + '\'');
-    request = buildPaymentRequest(amount);
+    finishPayment(config);
+    return;
   }
+  startAbortTimer(config);
+
+  shown
+    .then(response => handlePaymentResponse(response, config))
+    .catch(function(err) {
+      error(err);
+      finishPayment(config);
+    });
+}
+
+/**
+ * Aborts the payment in progress.
+ */
+function onAbortClicked() { // eslint-disable-line no-unused-vars
+  abortPayment('Abort button clicked');
 }
 
 function onReturnValueChanged() {
-  // Get current amount from URL or use default
-  const urlParams = new URLSearchParams(window.location.search);
-  const amount = urlParams.get('amount') || '0.01';
-  request = buildPaymentRequest(amount);
-}
\ No newline at end of file
+  if (paymentState !== 'idle') {
+    info('The new value applies to the next payment');
+    return;
+  }
+  try {
+    request = buildPaymentRequest(getConfig());
+  } catch (e) {
+    error(e.message);
+  }
+}
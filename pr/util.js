@@ -18,27 +18,173 @@ function togglePictureInPicture() {
   }
 }
 
+/**
+ * All log entries, oldest first, as {time, level, message, data}.
+ */
+const logEntries = [];
+
+/**
+ * Adds an entry to the log panel. Everything is rendered as text, so data
+ * from payment apps can't inject markup.
+ * @param {string} level - 'info', 'error' or 'deprecation'.
+ * @param {string|Error|object} msg - The message. Objects become the data.
+ * @param {*} data - Optional data shown as a collapsible JSON tree.
+ * @return {object} The log entry.
+ */
+function log(level, msg, data) {
+  if (data === undefined && msg !== null && typeof msg === 'object' &&
+      !isError(msg)) {
+    data = msg;
+    msg = '';
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message: String(msg),
+    data: data === undefined ? undefined : toLoggable(data),
+  };
+  logEntries.push(entry);
+
+  const container = document.getElementById('msg');
+  if (!container) {
+    return entry;
+  }
+  const element = document.createElement('div');
+  element.className = 'log-entry ' + level;
+  const time = document.createElement('span');
+  time.className = 'log-time';
+  time.textContent = entry.time.slice(11, 23);
+  const label = document.createElement('span');
+  label.className = 'log-level';
+  label.textContent = level;
+  const message = document.createElement('pre');
+  message.textContent = entry.message;
+  element.append(time, ' ', label, message);
+  if (entry.data !== undefined) {
+    element.appendChild(renderJsonTree(entry.data));
+  }
+  container.appendChild(element);
+  return entry;
+}
+
 /**
  * Prints the given error message.
- * @param {string} msg - The error message to print.
+ * @param {string|Error|object} msg - The error message to print.
+ * @param {*} data - Optional data to show with it.
  */
-function error(msg) {  // eslint-disable-line no-unused-vars
-  let element = document.createElement('pre');
-  element.innerHTML = msg;
-  element.className = 'error';
-  document.getElementById('msg').appendChild(element);
+function error(msg, data) {  // eslint-disable-line no-unused-vars
+  log('error', msg, data);
   dismissPageDimmer();
 }
 
 /**
  * Prints the given informational message.
- * @param {string} msg - The information message to print.
+ * @param {string|object} msg - The information message to print.
+ * @param {*} data - Optional data to show with it.
+ */
+function info(msg, data) {
+  log('info', msg, data);
+}
+
+/**
+ * Returns true for errors, including the DOMExceptions of the Payment Request API.
+ * @param {*} value - The value to check.
+ * @return {boolean} Whether the value is an error.
+ */
+function isError(value) {
+  return value instanceof Error ||
+      (typeof DOMException !== 'undefined' && value instanceof DOMException);
+}
+
+/**
+ * Converts a value into plain JSON data: uses toJSON() where available
+ * (PaymentResponse, PaymentAddress) and keeps the name and message of errors.
+ * @param {*} value - The value to convert.
+ * @return {*} JSON data.
+ */
+function toLoggable(value) {
+  if (isError(value)) {
+    return {name: value.name, message: value.message};
+  }
+  try {
+    return JSON.parse(JSON.stringify(value === undefined ? null : value));
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Renders JSON data as a tree of <details> elements.
+ * @param {*} value - The data to render.
+ * @param {string} key - The property name, if any.
+ * @param {number} depth - The nesting depth; the first two levels start open.
+ * @return {Element} The tree.
+ */
+function renderJsonTree(value, key, depth = 0) {
+  const prefix = key === undefined ? '' : key + ': ';
+  if (value === null || typeof value !== 'object') {
+    const leaf = document.createElement('div');
+    leaf.className = 'json-leaf';
+    leaf.textContent = prefix + JSON.stringify(value);
+    return leaf;
+  }
+
+  const keys = Object.keys(value);
+  const node = document.createElement('details');
+  node.className = 'json-node';
+  node.open = depth < 2;
+  const summary = document.createElement('summary');
+  summary.textContent = prefix + (Array.isArray(value) ?
+      '[' + keys.length + ']' : '{' + keys.length + '}');
+  node.appendChild(summary);
+  keys.forEach(function(child) {
+    node.appendChild(renderJsonTree(value[child], child, depth + 1));
+  });
+  return node;
+}
+
+/**
+ * Copies the log as JSON to the clipboard.
+ */
+function copyLog() {  // eslint-disable-line no-unused-vars
+  navigator.clipboard.writeText(JSON.stringify(logEntries, undefined, 2))
+    .then(function() {
+      info('Copied ' + logEntries.length + ' log entries to the clipboard');
+    })
+    .catch(function(e) {
+      error('Could not copy the log: \'' + e.message + '\'');
+    });
+}
+
+/**
+ * Downloads the log as a JSON file.
  */
-function info(msg) {
-  let element = document.createElement('pre');
-  element.innerHTML = msg;
-  element.className = 'info';
-  document.getElementById('msg').appendChild(element);
+function exportLog() {  // eslint-disable-line no-unused-vars
+  const blob = new Blob([JSON.stringify(logEntries, undefined, 2)],
+      {type: 'application/json'});
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = 'payment-request-log-' + new Date().toISOString() + '.json';
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(function() {
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
+
+/**
+ * Shows only the entries of one level.
+ * @param {string} level - The level to show, or '' for all.
+ */
+function filterLog(level) {  // eslint-disable-line no-unused-vars
+  const container = document.getElementById('msg');
+  if (level) {
+    container.dataset.filter = level;
+  } else {
+    delete container.dataset.filter;
+  }
 }
 
 /**
@@ -76,61 +222,52 @@ function done(message, resp) {  // eslint-disable-line no-unused-vars
   dismissPageDimmer();
 
   let element = document.getElementById('contents');
-  element.innerHTML = message;
+  element.textContent = message;
 
   if (resp.toJSON) {
-    info(JSON.stringify(resp, undefined, 2));
+    info('Payment response', resp);
     return;
   }
 
-  let shippingOption = resp.shippingOption ?
-      'shipping, delivery, pickup option: ' + resp.shippingOption + '<br/>' :
-      '';
-
-  let shippingAddress = resp.shippingAddress ?
-      'shipping, delivery, pickup address: ' +
-          JSON.stringify(toDictionary(resp.shippingAddress), undefined, 2) +
-          '<br/>' :
-      '';
-
-  let instrument =
-      'instrument:' + JSON.stringify(resp.details, undefined, 2) + '<br/>';
-
-  let method = 'method: ' + resp.methodName + '<br/>';
-  let email = resp.payerEmail ? 'email: ' + resp.payerEmail + '<br/>' : '';
-  let phone = resp.payerPhone ? 'phone: ' + resp.payerPhone + '<br/>' : '';
-  let name = resp.payerName ? 'name: ' + resp.payerName + '<br/>' : '';
-
-
-  info(email + phone + name + shippingOption + shippingAddress + method +
-      instrument);
+  info('Payment response', {
+    methodName: resp.methodName,
+    details: resp.details,
+    payerName: resp.payerName,
+    payerEmail: resp.payerEmail,
+    payerPhone: resp.payerPhone,
+    shippingOption: resp.shippingOption,
+    shippingAddress: resp.shippingAddress ?
+        toDictionary(resp.shippingAddress) : undefined,
+  });
 }
 
 /**
  * Clears all messages.
  */
 function clearAllMessages() {  // eslint-disable-line no-unused-vars
-  document.getElementById('msg').innerHTML = '';
+  logEntries.length = 0;
+  document.getElementById('msg').textContent = '';
 }
 
-let options = {
-  types: ['deprecation'],
-  buffered: true
-}
-
-let observer = new ReportingObserver(function(reports, observer) {
-  for (const report of reports) {
-    error(report.type + ": "+ JSON.stringify(report.body));
-  }
-}, options);
+// Deprecation reports are logged in their own category
+if (typeof ReportingObserver !== 'undefined') {
+  const observer = new ReportingObserver(function(reports) {
+    for (const report of reports) {
+      log('deprecation', report.body.message || report.type, report.body);
+    }
+  }, {types: ['deprecation'], buffered: true});
 
-observer.observe();
+  observer.observe();
+}
 
 /**
  * Shows a full page half-transparent overlay on top of the page content to
  * create the appearance of dimming the page.
  */
 function showPageDimmer() {
+  if (document.getElementById('dimmer')) {
+    return;
+  }
   const dimmer = document.createElement('div');
   dimmer.id = 'dimmer';
   dimmer.style = 'position: fixed; padding: 0; margin: 0; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 0, 0, 0.5); z-index: 1;';
@@ -18,102 +18,422 @@ const AppDetection = {
             isInNativeBrowser: false,
             isAndroidCustomTab: false, // Indicates if running in Chrome Custom Tabs
             isSafariViewController: false, // Indicates if running in iOS SFSafariViewController
+            isTrustedWebActivity: false, // Indicates if running in an Android Trusted Web Activity
             isInIframe: false, // Indicates if the page is loaded inside an iframe
-            detectedApp: null,
-            detectionResult: null, // Will contain: "webview", "native-browser", "safari-view-controller", or "chrome-custom-tab"
+            detectedApp: null, // { name, version } of the host app or browser
+            browser: null, // { family, version, engine } of the browser rendering the page, see parseBrowser()
+            displayMode: null, // "browser", "minimal-ui", "standalone" or "fullscreen", null when unknown
+            formFactor: null, // "phone", "tablet" or "desktop"
+            launcher: null, // { package, via } of the Android app that opened the page, see _detectLauncher()
+            detectionResult: null, // Will contain: "webview", "native-browser", "safari-view-controller",
+                                   // "chrome-custom-tab" or "trusted-web-activity"
             detectionMethods: [],
             details: {},
-            confidence: 0, // 0-100 confidence score
+            confidence: 0, // 0-100 score of the environment in detectionResult
+            scores: {}, // 0-100 score per environment, see _scoringModel
             userAgent: navigator.userAgent
         };
 
-        // Quick pre-check for Android WebView with "wv" flag
-        // This is a guaranteed signal that we're in an Android WebView
-        if (/Android.*wv/.test(navigator.userAgent)) {
-            result.isInAndroidWebView = true;
-            result.isInWebView = true;
-            result.isInNativeBrowser = false; // Explicitly not a native browser
-            result.detectionMethods.push('user_agent_android_wv_direct');
+        // Run all registered detectors - order matters!
+        this._detectors.forEach(detector => this._runDetector(detector, result));
+
+        // Score each environment based on detection methods
+        this._calculateConfidence(result);
+
+        // Apply the highest ranked precedence rule that matches
+        const rule = this._matchPrecedenceRule(result);
+
+        if (rule) {
+            Object.assign(result, this._environmentFlags[rule.detectionResult], rule.flags || {});
+            result.detectionResult = rule.detectionResult;
+        }
+        // Last resort - use the WebView score
+        else {
+            // If not specifically identified as any environment,
+            // use the WebView score as a fallback
+            result.isInWebView = result.scores.webview > 70;
+            result.detectionResult = result.isInWebView ? "webview" : "native-browser";
         }
 
-        // Run all detection methods - order matters!
-        // WebView detection first (highest reliability)
-        this._detectByUserAgent(result);
-        this._detectByBridgeObjects(result);
+        // Confidence is the score of the environment we settled on
+        result.confidence = result.scores[this._resultEnvironments[result.detectionResult]];
 
+        return result;
+    },
+
+    /**
+     * Detectors run by detect(), in order. Built-in detectors reference their
+     * method by name; registered detectors carry their own function.
+     */
+    _detectors: [
+        // Quick pre-check for Android WebView with "wv" flag
+        { name: 'android_wv_flag', fn: '_detectAndroidWvFlag' },
+        // Browser identity, display mode and form factor, used by the detectors below
+        { name: 'browser', fn: '_detectBrowser' },
+        // WebView detection first (highest reliability)
+        { name: 'user_agent', fn: '_detectByUserAgent' },
+        { name: 'bridge_objects', fn: '_detectByBridgeObjects' },
+        // Launching app before the containers that use it
+        { name: 'launcher', fn: '_detectLauncher' },
         // Custom Tabs detection before browser features detection
         // This is important because Custom Tabs share browser features with Chrome
-        this._detectCustomTabs(result);
+        { name: 'custom_tabs', fn: '_detectCustomTabs' },
+        // Trusted Web Activities are Custom Tabs without browser UI
+        { name: 'trusted_web_activity', fn: '_detectTrustedWebActivity' },
+        { name: 'safari_view_controller', fn: '_detectSFSafariViewController' },
+        { name: 'iframe', fn: '_detectIframe' },
+        // Other detection methods
+        { name: 'browser_features', fn: '_detectByBrowserFeatures' },
+        { name: 'app_specific_patterns', fn: '_detectByAppSpecificPatterns' },
+        { name: 'meta_tags', fn: '_detectByMetaTags' }
+    ],
 
-        // SFSafariViewController detection
-        this._detectSFSafariViewController(result);
+    /**
+     * Detection precedence, highest rank wins:
+     * 1. WebView detection has highest precedence (most reliable)
+     * 2. Special browser containers (Trusted Web Activity, CustomTabs, SFSafariViewController) have precedence
+     *    over native browser; a Trusted Web Activity also looks like a Custom Tab, so it ranks above it
+     * 3. Native browser detection is lowest precedence
+     * Registered detectors can add their own rule, which applies when the detector matched.
+     */
+    _precedenceRules: [
+        {
+            name: 'webview',
+            rank: 100,
+            detectionResult: 'webview',
+            matches: result => result.isInAndroidWebView || result.isInIOSWebView
+        },
+        {
+            name: 'trusted_web_activity',
+            rank: 90,
+            detectionResult: 'trusted-web-activity',
+            matches: result => result.isTrustedWebActivity
+        },
+        {
+            name: 'custom_tab',
+            rank: 80,
+            detectionResult: 'chrome-custom-tab',
+            matches: result => result.isAndroidCustomTab
+        },
+        {
+            name: 'safari_view_controller',
+            rank: 60,
+            detectionResult: 'safari-view-controller',
+            matches: result => result.isSafariViewController
+        },
+        {
+            name: 'native_browser',
+            rank: 20,
+            detectionResult: 'native-browser',
+            matches: result => result.detectionMethods.includes('native_browser')
+        }
+    ],
 
-        // Iframe detection
-        this._detectIframe(result);
+    /**
+     * Flags applied to the result when a precedence rule settles on an environment
+     */
+    _environmentFlags: {
+        'webview': {
+            isInWebView: true,
+            isAndroidCustomTab: false,
+            isSafariViewController: false,
+            isTrustedWebActivity: false,
+            isInNativeBrowser: false
+        },
+        'trusted-web-activity': {
+            isInWebView: false,
+            isInAndroidWebView: false,
+            isInNativeBrowser: false,
+            isAndroidCustomTab: false,
+            isSafariViewController: false
+        },
+        'chrome-custom-tab': {
+            isInWebView: false,
+            isInNativeBrowser: false,
+            isSafariViewController: false,
+            isTrustedWebActivity: false
+        },
+        'safari-view-controller': {
+            isInWebView: true, // SFSafariViewController is considered a special WebView
+            isInIOSWebView: true,
+            isInNativeBrowser: false,
+            isAndroidCustomTab: false,
+            isTrustedWebActivity: false
+        },
+        'native-browser': {
+            isInWebView: false,
+            isInAndroidWebView: false,
+            isInIOSWebView: false,
+            isAndroidCustomTab: false,
+            isSafariViewController: false,
+            isTrustedWebActivity: false
+        }
+    },
 
-        // Other detection methods
-        this._detectByBrowserFeatures(result);
-        this._detectByAppSpecificPatterns(result);
-        this._detectByMetaTags(result);
+    /**
+     * Registers a custom detector that runs as part of detect()
+     *
+     * The detector is called with the result object and may update it like the
+     * built-in detectors do. If it returns a truthy value the detector's name is
+     * added to detectionMethods, and a returned object is stored in result.details[name].
+     *
+     * @param {string} name Unique detector name, also used as its detection method
+     * @param {Function} fn Detector function, called with (result)
+     * @param {Object} options Detector options
+     * @param {Object|number} options.weight Log-odds evidence per environment when the detector matches,
+     *     e.g. { webview: 3, nativeBrowser: -3 }. A number is shorthand for { webview: number }.
+     *     Environments are the keys of _scoringModel.priors.
+     * @param {Object} options.precedence Precedence rule that applies when the detector matches:
+     *     { rank, detectionResult, flags }. Built-in ranks are 100 (webview), 90 (Trusted Web Activity),
+     *     80 (custom tab), 60 (SFSafariViewController) and 20 (native browser).
+     * @param {string} options.before Name of a detector to run before, defaults to running last
+     * @throws {Error} When an option is invalid; nothing is registered then
+     */
+    registerDetector: function(name, fn, options = {}) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Detector "${name}" must be a function.`);
+        }
+        if (this._detectors.some(detector => detector.name === name)) {
+            throw new Error(`Detector "${name}" is already registered.`);
+        }
 
-        // Calculate overall confidence based on detection methods
-        this._calculateConfidence(result);
+        // Validate every option before touching the registry, so a bad call leaves no half-registered detector
+        let rule = null;
+        if (options.precedence) {
+            const detectionResult = options.precedence.detectionResult || 'webview';
+            if (!this._environmentFlags[detectionResult]) {
+                throw new Error(`Unknown detectionResult "${detectionResult}" for detector "${name}".`);
+            }
+            rule = {
+                name: name,
+                rank: options.precedence.rank || 0,
+                detectionResult: detectionResult,
+                flags: options.precedence.flags,
+                matches: result => result.detectionMethods.includes(name)
+            };
+        }
 
-        // Check if we've detected a native browser
-        const isNativeBrowser = result.detectionMethods.includes('native_browser');
+        let evidence = null;
+        if (typeof options.weight === 'number') {
+            evidence = { webview: options.weight };
+        } else if (options.weight) {
+            evidence = Object.assign({}, options.weight);
+        }
+        if (evidence) {
+            Object.keys(evidence).forEach(environment => {
+                if (!this._scoringModel.priors.hasOwnProperty(environment)) {
+                    throw new Error(`Unknown environment "${environment}" in the weight of detector "${name}".`);
+                }
+                if (typeof evidence[environment] !== 'number' || !isFinite(evidence[environment])) {
+                    throw new Error(`Weight of "${environment}" for detector "${name}" must be a finite number.`);
+                }
+            });
+        }
 
-        // Establish detection precedence:
-        // 1. WebView detection has highest precedence (most reliable)
-        // 2. Special browser containers (CustomTabs, SFSafariViewController) have precedence over native browser
-        // 3. Native browser detection is lowest precedence
+        const detector = { name: name, fn: fn };
+        const index = options.before ?
+            this._detectors.findIndex(existing => existing.name === options.before) : -1;
 
-        // WebView takes precedence over everything else
-        if (result.isInAndroidWebView || result.isInIOSWebView) {
-            result.isInWebView = true;
-            result.isAndroidCustomTab = false;
-            result.isSafariViewController = false;
-            result.isInNativeBrowser = false;
+        if (index === -1) {
+            this._detectors.push(detector);
+        } else {
+            this._detectors.splice(index, 0, detector);
         }
-        // Custom Tabs takes precedence over native browser
-        else if (result.isAndroidCustomTab) {
-            result.isInWebView = false;
-            result.isInNativeBrowser = false;
-            result.isSafariViewController = false;
+        if (evidence) {
+            this._scoringModel.evidence[name] = evidence;
         }
-        // SFSafariViewController takes precedence over native browser
-        else if (result.isSafariViewController) {
-            result.isInWebView = true;  // SFSafariViewController is considered a special WebView
-            result.isInIOSWebView = true;
-            result.isInNativeBrowser = false;
-            result.isAndroidCustomTab = false;
-        }
-        // Native browser is lowest precedence
-        else if (isNativeBrowser) {
-            result.isInWebView = false;
-            result.isInAndroidWebView = false;
-            result.isInIOSWebView = false;
-            result.isAndroidCustomTab = false;
-            result.isSafariViewController = false;
+        if (rule) {
+            this._precedenceRules.push(rule);
         }
-        // Last resort - use confidence score
-        else {
-            // If not specifically identified as any environment,
-            // use confidence score as a fallback
-            result.isInWebView = result.confidence > 70;
+    },
+
+    /**
+     * Removes a detector together with its scoring evidence and precedence rule
+     * @param {string} name Detector name
+     * @returns {boolean} True if a detector was removed
+     */
+    unregisterDetector: function(name) {
+        const index = this._detectors.findIndex(detector => detector.name === name);
+        if (index === -1) {
+            return false;
         }
 
-        // Set the detectedBrowser property based on detection results
-        if (result.isAndroidCustomTab) {
-            result.detectionResult = "chrome-custom-tab";
-        } else if (result.isSafariViewController) {
-            result.detectionResult = "safari-view-controller";
-        } else if (result.isInWebView) {
-            result.detectionResult = "webview";
-        } else {
-            result.detectionResult = "native-browser";
+        this._detectors.splice(index, 1);
+        delete this._scoringModel.evidence[name];
+        this._precedenceRules = this._precedenceRules.filter(rule => rule.name !== name);
+        return true;
+    },
+
+    /**
+     * Runs a single detector against the result
+     * @param {Object} detector Entry from _detectors
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _runDetector: function(detector, result) {
+        const fn = typeof detector.fn === 'string' ? this[detector.fn] : detector.fn;
+
+        try {
+            const matched = fn.call(this, result);
+
+            // Built-in detectors record their own methods, registered ones report a match
+            if (typeof detector.fn !== 'string' && matched) {
+                if (!result.detectionMethods.includes(detector.name)) {
+                    result.detectionMethods.push(detector.name);
+                }
+                if (typeof matched === 'object') {
+                    result.details[detector.name] = matched;
+                }
+            }
+        } catch (error) {
+            console.error(`Detector "${detector.name}" failed:`, error);
+            result.details.detectorErrors = result.details.detectorErrors || {};
+            result.details.detectorErrors[detector.name] = error.message;
         }
+    },
 
-        return result;
+    /**
+     * Finds the highest ranked precedence rule matching the result
+     * @param {Object} result The result object
+     * @returns {Object|null} The matching rule, if any
+     * @private
+     */
+    _matchPrecedenceRule: function(result) {
+        const rules = this._precedenceRules.slice().sort((a, b) => b.rank - a.rank);
+        return rules.find(rule => rule.matches(result)) || null;
+    },
+
+    /**
+     * Browser families recognized by parseBrowser(), in match order. Browsers
+     * built on Chromium or WebKit carry the Chrome or Safari token as well, so
+     * they are listed before Chrome and Safari. name is used for detectedApp.
+     */
+    _browserFamilies: [
+        { family: 'samsung-internet', name: 'Samsung Browser', pattern: /SamsungBrowser\/([\d.]+)/ },
+        { family: 'edge', name: 'Edge Browser', pattern: /(?:Edg|EdgA|EdgiOS)\/([\d.]+)/ },
+        { family: 'opera', name: 'Opera Browser', pattern: /(?:OPR|OPiOS|Opera)\/([\d.]+)/ },
+        { family: 'duckduckgo', name: 'DuckDuckGo Browser', pattern: /(?:DuckDuckGo|Ddg)\/([\d.]+)/ },
+        { family: 'firefox', name: 'Firefox Browser', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+        // The version of an Android WebView is its Chromium version
+        { family: 'android-webview', name: null, pattern: /Android.*; wv\).*?Chrome\/([\d.]+)/ },
+        { family: 'android-webview', name: null, pattern: /Android.*Version\/([\d.]+)/ },
+        { family: 'chrome', name: 'Chrome Browser', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+        { family: 'safari', name: 'Safari Browser', pattern: /Version\/([\d.]+).*Safari\// },
+        // WKWebView and UIWebView don't name a browser; their WebKit ships with iOS
+        { family: 'ios-webview', name: null, pattern: /(?:iPhone|iPad|iPod).* OS ([\d_]+)/ }
+    ],
+
+    /**
+     * Identifies the browser from a user agent
+     * @param {string} userAgent User agent, defaults to navigator.userAgent
+     * @returns {Object} { family, version, engine }: family is one of the _browserFamilies
+     *     ("chrome", "samsung-internet", "safari", "android-webview"...), engine is
+     *     "blink", "webkit" or "gecko". Unknown values are null.
+     */
+    parseBrowser: function(userAgent = navigator.userAgent) {
+        const ua = userAgent || '';
+        let family = null;
+        let version = null;
+
+        this._browserFamilies.some(entry => {
+            const match = ua.match(entry.pattern);
+            if (match) {
+                family = entry.family;
+                version = match[1].replace(/_/g, '.');
+            }
+            return Boolean(match);
+        });
+
+        // Every browser on iOS renders with WebKit
+        let engine = null;
+        if (/iPhone|iPad|iPod/.test(ua)) {
+            engine = 'webkit';
+        } else if (/Firefox\//.test(ua)) {
+            engine = 'gecko';
+        } else if (/Chrome\/|Chromium\//.test(ua)) {
+            engine = 'blink';
+        } else if (/AppleWebKit\//.test(ua)) {
+            engine = 'webkit';
+        }
+
+        return { family: family, version: version, engine: engine };
+    },
+
+    /**
+     * Names a browser family for detectedApp
+     * @param {string} family Browser family
+     * @returns {string|null} Name such as "Chrome Browser", null for WebViews and unknown browsers
+     * @private
+     */
+    _browserName: function(family) {
+        const entry = this._browserFamilies.find(candidate => candidate.family === family);
+        return entry ? entry.name : null;
+    },
+
+    /**
+     * Reads the display mode of the page from the display-mode media feature
+     * @returns {string|null} "fullscreen", "standalone", "minimal-ui" or "browser", null without matchMedia
+     * @private
+     */
+    _displayMode: function() {
+        // Home screen web apps on iOS also report navigator.standalone
+        if (navigator.standalone === true) {
+            return 'standalone';
+        }
+        if (typeof window.matchMedia !== 'function') {
+            return null;
+        }
+        return ['fullscreen', 'standalone', 'minimal-ui'].find(mode => {
+            return window.matchMedia(`(display-mode: ${mode})`).matches;
+        }) || 'browser';
+    },
+
+    /**
+     * Classifies the device from its user agent
+     * @param {string} ua User agent
+     * @param {number} maxTouchPoints navigator.maxTouchPoints, tells iPads asking for desktop sites from Macs
+     * @returns {string} "phone", "tablet" or "desktop"
+     * @private
+     */
+    _formFactor: function(ua, maxTouchPoints = 0) {
+        // Android tablets leave "Mobile" out of the user agent
+        if (/iPad|Tablet|PlayBook|Silk/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+            return 'tablet';
+        }
+        if (/Macintosh/.test(ua) && maxTouchPoints > 1) {
+            return 'tablet';
+        }
+        if (/Mobi|iPhone|iPod|Android/.test(ua)) {
+            return 'phone';
+        }
+        return 'desktop';
+    },
+
+    /**
+     * Fill in the browser identity, display mode and form factor. These
+     * describe the page rather than the container, so they add no evidence.
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectBrowser: function(result) {
+        result.browser = this.parseBrowser(navigator.userAgent);
+        result.displayMode = this._displayMode();
+        result.formFactor = this._formFactor(navigator.userAgent, navigator.maxTouchPoints || 0);
+    },
+
+    /**
+     * Detect Android WebView by the "wv" flag in the User Agent
+     * This is a guaranteed signal that we're in an Android WebView
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectAndroidWvFlag: function(result) {
+        if (/Android.*wv/.test(navigator.userAgent)) {
+            result.isInAndroidWebView = true;
+            result.isInWebView = true;
+            result.isInNativeBrowser = false; // Explicitly not a native browser
+            result.detectionMethods.push('user_agent_android_wv_direct');
+        }
     },
 
     /**
@@ -153,22 +473,8 @@ const AppDetection = {
         const isNativeBrowser = isAndroidNativeBrowser || isIOSNativeBrowser;
 
         // Detect specific browser
-        let browserName = null;
-        if (isNativeBrowser) {
-            if (/Chrome/.test(ua) && !/Edg/.test(ua)) {
-                browserName = 'Chrome Browser';
-            } else if (/Firefox|FxiOS/.test(ua)) {
-                browserName = 'Firefox Browser';
-            } else if (/Safari/.test(ua) && !/Chrome|CriOS/.test(ua)) {
-                browserName = 'Safari Browser';
-            } else if (/Edg|EdgiOS/.test(ua)) {
-                browserName = 'Edge Browser';
-            } else if (/SamsungBrowser/.test(ua)) {
-                browserName = 'Samsung Browser';
-            } else if (/OPR|OPiOS|Opera/.test(ua)) {
-                browserName = 'Opera Browser';
-            }
-        }
+        const browser = result.browser || this.parseBrowser(ua);
+        const browserName = isNativeBrowser ? this._browserName(browser.family) : null;
 
         // Generic WebView indications
         const hasWebViewIndication = /(WebView|wv)|(Version\/\d+\.\d+)/i.test(ua);
@@ -201,7 +507,7 @@ const AppDetection = {
         }
 
         if (isNativeBrowser) {
-            result.detectedApp = browserName ? browserName : 'Native Browser';
+            result.detectedApp = browserName ? this._app(browserName, browser.version) : this._app('Native Browser');
             result.detectionMethods.push('native_browser');
         }
 
@@ -248,12 +554,12 @@ const AppDetection = {
 
         if (hasReactNativeBridge) {
             result.detectionMethods.push('react_native_bridge');
-            result.detectedApp = 'React Native App';
+            result.detectedApp = this._app('React Native App');
         }
 
         if (hasFlutterBridge) {
             result.detectionMethods.push('flutter_bridge');
-            result.detectedApp = 'Flutter App';
+            result.detectedApp = this._app('Flutter App');
         }
 
         result.details.bridgeObjects = details;
@@ -323,91 +629,174 @@ const AppDetection = {
     },
 
     /**
-     * Detect specific apps by their unique patterns
+     * Built-in fallback with the in-app browsers that matter most for app
+     * switching, used until app-signatures.json is loaded with loadSignatures().
+     * app-signatures.json is the signature database: add and update apps
+     * there. Results report signaturesVersion "1@builtin" while this is in use.
+     */
+    fallbackSignatures: {
+        schemaVersion: 1,
+        updated: 'builtin',
+        apps: [
+            {
+                id: 'facebook',
+                name: 'Facebook',
+                platforms: ['android', 'ios'],
+                method: 'facebook_app',
+                uaPatterns: ['FBAV', 'FBAN', 'FBIOS', 'FB_IAB'],
+                version: 'FBAV/([\\d.]+)',
+                evidence: { webview: 3, nativeBrowser: -3 }
+            },
+            {
+                id: 'instagram',
+                name: 'Instagram',
+                platforms: ['android', 'ios'],
+                method: 'instagram_app',
+                uaPatterns: ['Instagram'],
+                version: 'Instagram ([\\d.]+)',
+                evidence: { webview: 3, nativeBrowser: -3 }
+            },
+            {
+                id: 'wechat',
+                name: 'WeChat',
+                platforms: ['android', 'ios'],
+                method: 'wechat_app',
+                uaPatterns: ['MicroMessenger'],
+                bridgeGlobals: ['WeixinJSBridge'],
+                version: 'MicroMessenger/([\\d.]+)',
+                evidence: { webview: 3, nativeBrowser: -3 }
+            }
+        ]
+    },
+
+    /**
+     * In-app browser signatures, set by loadSignatures()
+     */
+    _signatures: [],
+
+    /**
+     * Version of the loaded signature database
+     */
+    signaturesVersion: null,
+
+    /**
+     * Loads the in-app browser signature database
+     *
+     * Each app entry lists its name, platforms, UA patterns (regular expression
+     * sources, matched case-insensitively), bridge globals, a version pattern whose
+     * first group is the version, log-odds evidence and known app-switch quirks.
+     *
+     * @param {string|Object} source URL of the JSON database, or the parsed database
+     * @returns {Promise} Promise resolving to the number of loaded signatures
+     */
+    loadSignatures: function(source) {
+        if (typeof source === 'string') {
+            return fetch(source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Signature database responded with status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(database => this.loadSignatures(database));
+        }
+
+        if (!source || !Array.isArray(source.apps)) {
+            return Promise.reject(new Error('Invalid signature database: missing "apps" list.'));
+        }
+
+        // Drop evidence from the previous database before applying the new one
+        this._signatures.forEach(signature => {
+            delete this._scoringModel.evidence[signature.method];
+        });
+
+        this._signatures = source.apps.map(app => ({
+            id: app.id,
+            name: app.name,
+            method: app.method || `${app.id}_app`,
+            platforms: app.platforms || [],
+            uaPatterns: (app.uaPatterns || []).map(pattern => new RegExp(pattern, 'i')),
+            bridgeGlobals: app.bridgeGlobals || [],
+            version: app.version ? new RegExp(app.version, 'i') : null,
+            quirks: app.quirks || []
+        }));
+        this.signaturesVersion = source.schemaVersion + (source.updated ? `@${source.updated}` : '');
+
+        source.apps.forEach((app, index) => {
+            if (app.evidence) {
+                this._scoringModel.evidence[this._signatures[index].method] = Object.assign({}, app.evidence);
+            }
+        });
+
+        return Promise.resolve(this._signatures.length);
+    },
+
+    /**
+     * Detect specific apps by their signatures
      * @param {Object} result The result object to update
      * @private
      */
     _detectByAppSpecificPatterns: function(result) {
         const ua = navigator.userAgent;
-        const details = {};
+        const userAgentDetails = result.details.userAgent || {};
+        const platform = userAgentDetails.isAndroid ? 'android' : (userAgentDetails.isIOS ? 'ios' : null);
+        const details = {
+            signaturesVersion: this.signaturesVersion,
+            matches: []
+        };
+        let matched = null;
+
+        this._signatures.forEach(signature => {
+            // Skip apps that do not ship on the platform we are on
+            if (platform && signature.platforms.length && !signature.platforms.includes(platform)) {
+                return;
+            }
+
+            const byUserAgent = signature.uaPatterns.some(pattern => pattern.test(ua));
+            const byBridge = signature.bridgeGlobals.some(name => typeof window[name] !== 'undefined');
+            if (!byUserAgent && !byBridge) {
+                return;
+            }
+
+            const versionMatch = signature.version ? ua.match(signature.version) : null;
+            const match = {
+                id: signature.id,
+                name: signature.name,
+                version: versionMatch ? versionMatch[1] : null,
+                byUserAgent: byUserAgent,
+                byBridge: byBridge,
+                quirks: signature.quirks
+            };
 
-        // Social media apps
-        const isFacebook = /FBAV|FBAN|FBIOS|FB_IAB/i.test(ua);
-        const isTwitter = /Twitter/i.test(ua);
-        const isInstagram = /Instagram/i.test(ua);
-        const isLinkedIn = /LinkedIn/i.test(ua);
-        const isPinterest = /Pinterest/i.test(ua);
-        const isSnapchat = /Snapchat/i.test(ua);
-
-        // Messaging apps
-        const isWhatsApp = /WhatsApp/i.test(ua);
-        const isWeChat = /MicroMessenger/i.test(ua);
-        const isLine = /Line\//i.test(ua);
-        const isTelegram = /TelegramBot|Telegram/i.test(ua);
-
-        // Browser apps with WebView
-        const isUCBrowser = /UCBrowser/i.test(ua);
-        const isOperaMini = /Opera Mini/i.test(ua);
-        const isFirefoxFocus = /Focus/i.test(ua) && /Firefox/i.test(ua);
-
-        // Other common apps
-        const isCrossWalk = /Crosswalk/i.test(ua);
-        const isGoogleApp = /GSA\//i.test(ua);
-        const isAmazonApp = /AmazonWebAppPlatform/i.test(ua);
-
-        details.isFacebook = isFacebook;
-        details.isTwitter = isTwitter;
-        details.isInstagram = isInstagram;
-        details.isLinkedIn = isLinkedIn;
-        details.isPinterest = isPinterest;
-        details.isSnapchat = isSnapchat;
-        details.isWhatsApp = isWhatsApp;
-        details.isWeChat = isWeChat;
-        details.isLine = isLine;
-        details.isTelegram = isTelegram;
-        details.isUCBrowser = isUCBrowser;
-        details.isOperaMini = isOperaMini;
-        details.isFirefoxFocus = isFirefoxFocus;
-        details.isCrossWalk = isCrossWalk;
-        details.isGoogleApp = isGoogleApp;
-        details.isAmazonApp = isAmazonApp;
-
-        // Determine the detected app
-        if (isFacebook) {
-            result.detectedApp = 'Facebook';
-            result.detectionMethods.push('facebook_app');
-        } else if (isTwitter) {
-            result.detectedApp = 'Twitter';
-            result.detectionMethods.push('twitter_app');
-        } else if (isInstagram) {
-            result.detectedApp = 'Instagram';
-            result.detectionMethods.push('instagram_app');
-        } else if (isLinkedIn) {
-            result.detectedApp = 'LinkedIn';
-            result.detectionMethods.push('linkedin_app');
-        } else if (isWhatsApp) {
-            result.detectedApp = 'WhatsApp';
-            result.detectionMethods.push('whatsapp_app');
-        } else if (isWeChat) {
-            result.detectedApp = 'WeChat';
-            result.detectionMethods.push('wechat_app');
-        } else if (isUCBrowser) {
-            result.detectedApp = 'UC Browser';
-            result.detectionMethods.push('uc_browser');
-        } else if (isOperaMini) {
-            result.detectedApp = 'Opera Mini';
-            result.detectionMethods.push('opera_mini');
-        } else if (isCrossWalk) {
-            result.detectedApp = 'Crosswalk WebView';
-            result.detectionMethods.push('crosswalk');
-        } else if (isGoogleApp) {
-            result.detectedApp = 'Google App';
-            result.detectionMethods.push('google_app');
+            details.matches.push(match);
+            result.detectionMethods.push(signature.method);
+
+            // The first match in database order names the app
+            if (!matched) {
+                matched = match;
+            }
+        });
+
+        if (matched) {
+            result.detectedApp = this._app(matched.name, matched.version);
+            details.matched = matched.id;
+            details.quirks = matched.quirks;
         }
 
         result.details.appSpecificPatterns = details;
     },
 
+    /**
+     * Builds a detectedApp value
+     * @param {string} name App or browser name
+     * @param {string} version Version, if known
+     * @returns {Object} { name, version }
+     * @private
+     */
+    _app: function(name, version = null) {
+        return { name: name, version: version };
+    },
+
     /**
      * Look for meta tags that might indicate WebView context
      * @param {Object} result The result object to update
@@ -447,13 +836,6 @@ const AppDetection = {
     _detectCustomTabs: function(result) {
         const details = {};
         const referrer = document.referrer || '';
-        // Log the referrer for debugging
-        console.log('Chrome Custom Tabs Detection - Referrer:', JSON.stringify({
-            referrer: referrer,
-            length: referrer.length,
-            isEmpty: referrer === '',
-            historyLength: window.history.length
-        }));
         const ua = navigator.userAgent;
 
         // Only applicable to Android Chrome
@@ -598,15 +980,144 @@ const AppDetection = {
                 result.isInWebView = false;
                 result.isInAndroidWebView = false;
 
-                if (details.launchingApp) {
-                    result.detectedApp = `Custom Tab (from ${details.launchingApp})`;
+                if (result.launcher) {
+                    result.detectedApp = this._app(`Custom Tab (from ${result.launcher.package})`);
                 } else {
-                    result.detectedApp = 'Chrome Custom Tab';
+                    result.detectedApp = this._app('Chrome Custom Tab');
                 }
             }
         }
     },
 
+    /**
+     * Launcher hint options, see _detectLauncher()
+     */
+    launcherDefaults: {
+        queryParam: 'app_launcher', // Query parameter our Android apps append with their package name
+        storageKey: 'app-detection-launcher' // sessionStorage key, so later pages of the visit keep the launcher
+    },
+
+    /**
+     * Find the Android app that opened the page: the android-app:// referrer
+     * Chrome sets for Custom Tabs and Trusted Web Activities, the launcher
+     * remembered from an earlier page of this tab's session, or an explicit
+     * hint in the query (?app_launcher=<package>, added by our apps). Anyone
+     * can add the hint to a link, so it never replaces a launcher the browser
+     * reported. Sets result.launcher to { package, via }. The 'header' source
+     * is only seen by the server, see ServerDetection.
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectLauncher: function(result) {
+        const config = this.launcherDefaults;
+        const details = {};
+
+        let hint = null;
+        try {
+            hint = new URLSearchParams(window.location.search).get(config.queryParam);
+        } catch (error) {
+            details.queryError = error.message;
+        }
+        if (hint && !this._isPackageName(hint)) {
+            details.invalidHint = hint;
+            hint = null;
+        }
+        const referrerMatch = (document.referrer || '').match(/^android-app:\/\/([^\/?#]+)/);
+
+        let stored = null;
+        try {
+            stored = JSON.parse(window.sessionStorage.getItem(config.storageKey));
+        } catch (error) {
+            details.storageError = error.message;
+        }
+        if (!stored || !this._isPackageName(stored.package) || !['referrer', 'query', 'header'].includes(stored.via)) {
+            stored = null;
+        }
+
+        let launcher = null;
+        if (referrerMatch && this._isPackageName(referrerMatch[1])) {
+            launcher = { package: referrerMatch[1], via: 'referrer' };
+        } else if (stored && stored.via !== 'query') {
+            launcher = { package: stored.package, via: stored.via };
+            details.restored = true;
+        } else if (hint) {
+            launcher = { package: hint, via: 'query' };
+        } else if (stored) {
+            launcher = { package: stored.package, via: stored.via };
+            details.restored = true;
+        }
+
+        if (hint && launcher && launcher.via !== 'query' && hint !== launcher.package) {
+            details.ignoredHint = hint;
+        }
+
+        // The referrer and the query only reach the first page, so remember them for this tab
+        if (launcher && !details.restored) {
+            try {
+                window.sessionStorage.setItem(config.storageKey, JSON.stringify(launcher));
+            } catch (error) {
+                details.storageError = error.message;
+            }
+        }
+
+        result.details.launcher = details;
+        if (!launcher) {
+            return;
+        }
+
+        result.launcher = launcher;
+        result.detectionMethods.push(`launcher_${launcher.via}`);
+    },
+
+    /**
+     * Checks that a value looks like an Android application id, e.g. com.example.app
+     * @param {string} value Value to check
+     * @returns {boolean} True for a valid package name
+     * @private
+     */
+    _isPackageName: function(value) {
+        return typeof value === 'string' && value.length <= 255 &&
+            /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/.test(value);
+    },
+
+    /**
+     * Detect if the page is running in a Trusted Web Activity: Chrome on
+     * Android without browser UI (display mode standalone or fullscreen),
+     * opened by an app. Installed PWAs are standalone too, but nothing
+     * launches them with an app package. The launcher must come from the
+     * browser: a query hint alone is not enough.
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectTrustedWebActivity: function(result) {
+        const ua = navigator.userAgent;
+        const browser = result.browser || this.parseBrowser(ua);
+        // Samsung Internet, Edge and other Chromium browsers carry the Chrome token as well
+        const isAndroidChrome = /Android/.test(ua) && browser.family === 'chrome';
+
+        if (!isAndroidChrome || result.isInAndroidWebView) {
+            result.details.trustedWebActivity = { isTrustedWebActivity: false, reason: 'Not Android Chrome' };
+            return;
+        }
+
+        const displayMode = result.displayMode || this._displayMode();
+        const isTrustedWebActivity = ['fullscreen', 'standalone'].includes(displayMode) &&
+            Boolean(result.launcher) && result.launcher.via !== 'query';
+
+        result.details.trustedWebActivity = {
+            isTrustedWebActivity: isTrustedWebActivity,
+            displayMode: displayMode,
+            launcher: result.launcher
+        };
+
+        if (isTrustedWebActivity) {
+            result.isTrustedWebActivity = true;
+            result.isInNativeBrowser = false;
+            result.detectionMethods.push('trusted_web_activity');
+            result.detectedApp = this._app(`Trusted Web Activity (${result.launcher.package})`);
+        }
+    },
+
     /**
      * Detect if running in SFSafariViewController
      * This is challenging as SFSafariViewController is designed to be identical to Safari
@@ -617,21 +1128,6 @@ const AppDetection = {
         const ua = navigator.userAgent;
         const details = {};
 
-        // Enhanced debug info for SFSafariViewController detection
-        console.log('SFSafariViewController Detection - Debug info:', JSON.stringify({
-            historyLength: window.history.length,
-            hasOpener: window.opener !== null,
-            referrer: document.referrer || '',
-            innerHeight: window.innerHeight,
-            screenHeight: window.screen.height,
-            heightRatio: window.innerHeight / window.screen.height,
-            navigationType: window.performance && window.performance.navigation ?
-                window.performance.navigation.type : 'unknown',
-            hasSafariObject: typeof window.safari !== 'undefined',
-            urlParams: window.location.search,
-            hostname: window.location.hostname
-        }));
-
         // Store history length in details for reporting
         details.historyLength = window.history.length;
 
@@ -830,11 +1326,11 @@ const AppDetection = {
             result.detectionMethods.push('sfsafariviewcontroller');
 
             // Check if already detected as Safari browser
-            if (result.isInNativeBrowser && result.detectedApp === 'Safari Browser') {
+            if (result.isInNativeBrowser && result.detectedApp && result.detectedApp.name === 'Safari Browser') {
                 // Note: We still set these flags, but the conflict resolution logic
                 // in the detect() method may override this if it determines it's actually Safari
                 result.isInNativeBrowser = false;
-                result.detectedApp = 'SFSafariViewController';
+                result.detectedApp = this._app('SFSafariViewController');
                 result.isInIOSWebView = true;
                 result.isInWebView = true;
             }
@@ -865,6 +1361,10 @@ const AppDetection = {
             result.detectionMethods.push('iframe_security_error');
         }
 
+        // A readable window.top that is this window settles it: the page is top-level,
+        // and its referrer is the page that linked here rather than a parent frame
+        const isTopLevel = details.windowSelfNotTop === false;
+
         // Method 2: Check parent and location properties
         if (!result.isInIframe) {
             details.windowParentNotSelf = window.parent !== window;
@@ -875,7 +1375,7 @@ const AppDetection = {
         }
 
         // Method 3: Check document.referrer (can provide parent URL in some cases)
-        if (document.referrer) {
+        if (document.referrer && !isTopLevel) {
             try {
                 const referrerUrl = new URL(document.referrer);
                 const currentUrl = new URL(window.location.href);
@@ -897,7 +1397,7 @@ const AppDetection = {
 
         // Method 4: Analyze window dimensions
         // Iframes typically have constrained dimensions compared to the full browser window
-        if (!result.isInIframe) {
+        if (!result.isInIframe && !isTopLevel) {
             // This is a heuristic approach - if window inner dimensions are significantly smaller than screen dimensions
             const screenWidthRatio = window.innerWidth / screen.width;
             const screenHeightRatio = window.innerHeight / screen.height;
@@ -918,103 +1418,434 @@ const AppDetection = {
         result.details.iframe = details;
     },
 
-    _calculateConfidence: function(result) {
-        let confidence = 0;
-
-        // Weight different detection methods
-        const weightMap = {
-            // Guaranteed signals (100% confidence)
-            'user_agent_android_wv_direct': 100, // Highest confidence - direct detection
-            'user_agent_android_wv': 100, // Direct 'wv' detection is a guaranteed signal
-            'android_bridge_objects': 100,
-            'ios_bridge_objects': 100,
-            'react_native_bridge': 100,
-            'flutter_bridge': 100,
-
-            // Very strong signals (85-90% confidence)
-            'user_agent_android': 85, // Increased from 50 as this is a strong signal
-            'user_agent_ios': 85, // Increased from 50 to match Android
-            'facebook_app': 90,
-            'twitter_app': 90,
-            'instagram_app': 90,
-            'linkedin_app': 90,
-            'whatsapp_app': 90,
-            'wechat_app': 90,
-
-            // Strong signals (60-75% confidence) - Reduced Chrome Custom Tabs confidence
-            'chrome_custom_tabs': 60, // Reduced from 80 to prevent false positives
-            'sfsafariviewcontroller': 60, // Lower confidence due to detection difficulty
-            'crosswalk': 80,
-            'google_app': 80,
-            'uc_browser': 70,
-            'opera_mini': 70,
-
-            // Medium signals (40-60% confidence)
-            'app_meta_tags': 60,
-            'missing_browser_features': 35, // Reduced slightly
-            'limited_storage': 30,
-
-            // Iframe detection methods (70-100% confidence)
-            'iframe_self_top_check': 100, // Very reliable
-            'iframe_security_error': 100, // Definitely in a cross-origin iframe
-            'iframe_parent_check': 90, // Highly reliable
-            'iframe_referrer_analysis': 80, // Fairly reliable
-            'iframe_dimension_analysis': 40, // Less reliable, can have false positives
-
-            // Weak signals (20-30% confidence)
-            'viewport_settings': 20
-        };
+    /**
+     * Evidence model used to score each environment.
+     *
+     * Every environment starts from a prior log-odds. Each detection method that
+     * fired adds its log-odds weight for that environment: positive weights are
+     * evidence for it, negative weights are evidence against it. The summed
+     * log-odds are turned into a probability with the logistic function:
+     *
+     *     score(env) = 100 / (1 + e^-(prior(env) + sum(weight(method, env))))
+     *
+     * Environments are scored independently (a page can be both in a WebView and
+     * in an iframe). Methods that are not listed contribute no evidence. In-app
+     * browser evidence comes from app-signatures.json, see loadSignatures().
+     */
+    _scoringModel: {
+        priors: {
+            webview: -1.5,
+            customTab: -2.5,
+            trustedWebActivity: -3,
+            safariViewController: -2.5,
+            nativeBrowser: 0,
+            iframe: -3
+        },
+        evidence: {
+            // User agent
+            'user_agent_android_wv_direct': { webview: 5, nativeBrowser: -5, customTab: -5 },
+            'user_agent_android_wv': { webview: 1, nativeBrowser: -1 },
+            'user_agent_android': { webview: 1.5, nativeBrowser: -1.5 },
+            'user_agent_ios': { webview: 2.5, nativeBrowser: -2.5, safariViewController: -2 },
+            'native_browser': { nativeBrowser: 3, webview: -2.5 },
+
+            // Bridge objects injected by the host app
+            'android_bridge_objects': { webview: 4, nativeBrowser: -4, customTab: -4 },
+            'ios_bridge_objects': { webview: 3, nativeBrowser: -3, safariViewController: -4 },
+            'react_native_bridge': { webview: 5, nativeBrowser: -5 },
+            'flutter_bridge': { webview: 5, nativeBrowser: -5 },
+
+            // Browser containers
+            'chrome_custom_tabs': { customTab: 3.5, nativeBrowser: -2, webview: -1 },
+            'sfsafariviewcontroller': { safariViewController: 3.5, nativeBrowser: -2 },
+            'trusted_web_activity': { trustedWebActivity: 6, customTab: -2, nativeBrowser: -3, webview: -2 },
+
+            // Weak page and feature signals
+            'missing_browser_features': { webview: 0.8, nativeBrowser: -0.5 },
+            'limited_storage': { webview: 0.5 },
+            'app_meta_tags': { webview: 0.5 },
+            'viewport_settings': { webview: 0.2 },
+
+            // Iframe
+            'iframe_self_top_check': { iframe: 6 },
+            'iframe_security_error': { iframe: 6 },
+            'iframe_parent_check': { iframe: 5 },
+            'iframe_referrer_analysis': { iframe: 1.5 },
+            'iframe_dimension_analysis': { iframe: 0.5 }
+        }
+    },
 
-        // Calculate confidence based on detected methods
-        if (result.detectionMethods.length > 0) {
-            let totalWeight = 0;
-            let weightedSum = 0;
+    /**
+     * Maps detectionResult values to the scored environment they correspond to
+     */
+    _resultEnvironments: {
+        'webview': 'webview',
+        'chrome-custom-tab': 'customTab',
+        'trusted-web-activity': 'trustedWebActivity',
+        'safari-view-controller': 'safariViewController',
+        'native-browser': 'nativeBrowser'
+    },
 
-            result.detectionMethods.forEach(method => {
-                const weight = weightMap[method] || 50; // Default weight is 50
-                totalWeight += weight;
-                weightedSum += weight;
+    /**
+     * Scores every environment from the detection methods that fired. An
+     * environment that only appears in the evidence starts from even odds (0).
+     * @param {Object} result The result object to update
+     * @param {Object} model Scoring model to use, defaults to _scoringModel
+     * @private
+     */
+    _calculateConfidence: function(result, model = this._scoringModel) {
+        const logOdds = Object.assign({}, model.priors);
+        const contributions = [];
+
+        result.detectionMethods.forEach(method => {
+            const weights = model.evidence[method];
+            if (!weights) {
+                return;
+            }
+            Object.keys(weights).forEach(environment => {
+                logOdds[environment] = (logOdds[environment] || 0) + weights[environment];
+                contributions.push({ method: method, environment: environment, weight: weights[environment] });
             });
+        });
 
-            confidence = totalWeight > 0 ? (weightedSum / totalWeight) * 100 : 0;
+        const scores = {};
+        Object.keys(logOdds).forEach(environment => {
+            scores[environment] = Math.round(100 / (1 + Math.exp(-logOdds[environment])));
+        });
 
-            // Cap at 100
-            confidence = Math.min(confidence, 100);
-        }
+        result.scores = scores;
+        result.details.scoring = {
+            logOdds: logOdds,
+            contributions: contributions
+        };
+    },
 
-        result.confidence = Math.round(confidence);
+    /**
+     * Reporting options, see reportToServer()
+     */
+    reportingDefaults: {
+        storageKey: 'app-detection-report-queue', // localStorage key of the queue, so reports survive the app switch unload
+        batchSize: 10, // Reports per request
+        flushDelayMs: 2000, // Wait this long for more reports before sending a batch
+        maxQueueSize: 100, // Oldest reports are dropped beyond this
+        maxAttempts: 5, // Reports are dropped after this many failed sends
+        retryBaseMs: 1000, // First retry delay, doubled on every failure
+        retryMaxMs: 60000, // Upper bound of the retry delay
+        maxBeaconBytes: 60000, // sendBeacon payloads are limited to 64 KB
+        redactParams: ['token', 'ba_token', 'ssrt', 'buttonSessionID', 'pp_ref_id'], // Query parameters whose values are redacted
+        includeUrl: true, // Send the (redacted) page URL and referrer
+        includeUserAgent: true, // Send the user agent; detection still uses it locally
+        includeDetails: false // Send result.details, the raw measurements; URLs in them are treated like the page URL
     },
 
     /**
-     * Sends the detection result to a server endpoint
+     * Reporting state: endpoint, options, queue and timers
+     * @private
+     */
+    _reporting: null,
+
+    /**
+     * Queues the detection result for the server. Reports are batched,
+     * retried with exponential backoff, persisted in localStorage until
+     * sent, and flushed with navigator.sendBeacon on pagehide.
      * @param {string} endpoint URL to send the data to
-     * @returns {Promise} Promise resolving to the server response
+     * @param {Object} options Reporting options, see AppDetection.reportingDefaults
+     * @param {Object} options.result Detection result to send, detect() runs when omitted
+     * @returns {Promise} Promise resolving to { queued } once the report is queued
      */
-    reportToServer: function(endpoint) {
-        const result = this.detect();
+    reportToServer: function(endpoint, options = {}) {
+        const reporting = this._setupReporting(endpoint, options);
+        const config = reporting.config;
+        const result = options.result || this.detect();
+
+        const report = {
+            detection: Object.assign({}, result, {
+                userAgent: config.includeUserAgent ? result.userAgent : null,
+                details: config.includeDetails ? this._redactDetails(result.details, config) : null
+            }),
+            timestamp: new Date().toISOString(),
+            url: config.includeUrl ? this._redactUrl(window.location.href, config.redactParams) : null,
+            referrer: config.includeUrl && document.referrer ? this._redactUrl(document.referrer, config.redactParams) : null,
+            screenSize: {
+                width: window.screen.width,
+                height: window.screen.height
+            },
+            devicePixelRatio: window.devicePixelRatio || 1
+        };
 
-        return fetch(endpoint, {
+        const queue = this._readReportQueue();
+        queue.push({ id: this._reportId(), report: report, attempts: 0 });
+        this._writeReportQueue(queue.slice(-config.maxQueueSize));
+        this._scheduleFlush(config.flushDelayMs);
+
+        return Promise.resolve({ queued: Math.min(queue.length, config.maxQueueSize) });
+    },
+
+    /**
+     * Sends the next batch of queued reports
+     * @returns {Promise} Promise resolving to { sent, remaining } or { error, retryInMs }
+     */
+    flushReports: function() {
+        const reporting = this._reporting;
+        if (!reporting) {
+            return Promise.reject(new Error('Reporting is not set up. Call reportToServer() first.'));
+        }
+        if (reporting.flushing) {
+            return reporting.flushing;
+        }
+
+        clearTimeout(reporting.timer);
+        reporting.timer = null;
+
+        const config = reporting.config;
+        const batch = this._readReportQueue().slice(0, config.batchSize);
+        if (!batch.length) {
+            return Promise.resolve({ sent: 0, remaining: 0 });
+        }
+
+        // The queue can change while the request is out (new reports, trimming, a pagehide beacon),
+        // so entries are matched by id
+        const batchIds = batch.map(entry => entry.id);
+        reporting.inFlight = batchIds;
+
+        reporting.flushing = fetch(reporting.endpoint, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                detection: result,
-                timestamp: new Date().toISOString(),
-                url: window.location.href,
-                referrer: document.referrer || null,
-                screenSize: {
-                    width: window.screen.width,
-                    height: window.screen.height
-                },
-                devicePixelRatio: window.devicePixelRatio || 1
-            })
+            body: JSON.stringify({ reports: batch.map(entry => entry.report) }),
+            keepalive: true
         })
-        .then(response => response.json())
-        .catch(error => {
-            console.error('Error reporting WebView detection:', error);
-            return { error: error.message };
-        });
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Report endpoint responded with status: ${response.status}`);
+                }
+
+                // Drop what was sent; reports queued meanwhile stay
+                const remaining = this._readReportQueue().filter(entry => !batchIds.includes(entry.id));
+                this._writeReportQueue(remaining);
+                reporting.failures = 0;
+                if (remaining.length) {
+                    this._scheduleFlush(0);
+                }
+                return { sent: batch.length, remaining: remaining.length };
+            })
+            .catch(error => {
+                console.error('Error reporting WebView detection:', error);
+
+                // Count the attempt and drop reports that keep failing
+                const queue = this._readReportQueue().map(entry => {
+                    return batchIds.includes(entry.id) ? Object.assign({}, entry, { attempts: entry.attempts + 1 }) : entry;
+                }).filter(entry => entry.attempts < config.maxAttempts);
+                this._writeReportQueue(queue);
+
+                reporting.failures++;
+                const retryInMs = Math.min(config.retryBaseMs * Math.pow(2, reporting.failures - 1), config.retryMaxMs);
+                if (queue.length) {
+                    // Jitter spreads out retries from many clients
+                    this._scheduleFlush(retryInMs + Math.round(Math.random() * retryInMs * 0.2));
+                }
+                return { error: error.message, retryInMs: retryInMs };
+            })
+            .then(function(outcome) {
+                reporting.flushing = null;
+                reporting.inFlight = [];
+                return outcome;
+            });
+
+        return reporting.flushing;
+    },
+
+    /**
+     * Sends everything queued with navigator.sendBeacon, which survives page
+     * unload. Reports of a batch still being sent by flushReports() are left
+     * to its keepalive request.
+     * @returns {boolean} True if the beacon was queued by the browser
+     * @private
+     */
+    _beaconReports: function() {
+        const reporting = this._reporting;
+        if (!reporting || !navigator.sendBeacon) {
+            return false;
+        }
+        const pending = this._readReportQueue().filter(entry => !reporting.inFlight.includes(entry.id));
+        if (!pending.length) {
+            return false;
+        }
+
+        // Send as many of the newest reports as fit in the beacon limit
+        let batch = pending;
+        let body = JSON.stringify({ reports: batch.map(entry => entry.report) });
+        while (batch.length > 1 && body.length > reporting.config.maxBeaconBytes) {
+            batch = batch.slice(1);
+            body = JSON.stringify({ reports: batch.map(entry => entry.report) });
+        }
+
+        const queued = navigator.sendBeacon(reporting.endpoint, new Blob([body], { type: 'application/json' }));
+        if (queued) {
+            const sentIds = batch.map(entry => entry.id);
+            this._writeReportQueue(this._readReportQueue().filter(entry => !sentIds.includes(entry.id)));
+        }
+        return queued;
+    },
+
+    /**
+     * Creates or updates the reporting state and the pagehide listener
+     * @param {string} endpoint URL to send the data to
+     * @param {Object} options Reporting options
+     * @returns {Object} Reporting state
+     * @private
+     */
+    _setupReporting: function(endpoint, options) {
+        const config = Object.assign({}, this.reportingDefaults, options);
+        delete config.result;
+
+        if (!this._reporting) {
+            this._reporting = {
+                timer: null,
+                flushing: null,
+                inFlight: [], // Queue entry ids of the batch flushReports() is sending
+                failures: 0,
+                memoryQueue: [],
+                onPageHide: () => {
+                    clearTimeout(this._reporting.timer);
+                    this._beaconReports();
+                }
+            };
+            window.addEventListener('pagehide', this._reporting.onPageHide);
+        }
+
+        this._reporting.endpoint = endpoint;
+        this._reporting.config = config;
+        return this._reporting;
+    },
+
+    /**
+     * Schedules a flush unless an earlier one is already scheduled
+     * @param {number} delayMs Delay in milliseconds
+     * @private
+     */
+    _scheduleFlush: function(delayMs) {
+        const reporting = this._reporting;
+        if (reporting.timer !== null) {
+            return;
+        }
+        reporting.timer = setTimeout(() => {
+            reporting.timer = null;
+            this.flushReports();
+        }, delayMs);
+    },
+
+    /**
+     * Replaces the values of sensitive query (and hash) parameters
+     * @param {string} url URL to redact
+     * @param {Array} params Parameter names to redact
+     * @returns {string} Redacted URL
+     * @private
+     */
+    _redactUrl: function(url, params) {
+        let parsed;
+        try {
+            parsed = new URL(url, window.location.href);
+        } catch (error) {
+            return null;
+        }
+
+        const redact = function(searchParams) {
+            let changed = false;
+            params.forEach(function(name) {
+                if (searchParams.has(name)) {
+                    searchParams.set(name, 'REDACTED');
+                    changed = true;
+                }
+            });
+            return changed;
+        };
+
+        redact(parsed.searchParams);
+        if (parsed.hash.length > 1) {
+            const hashParams = new URLSearchParams(parsed.hash.slice(1));
+            if (redact(hashParams)) {
+                parsed.hash = hashParams.toString();
+            }
+        }
+        return parsed.href;
+    },
+
+    /**
+     * Copies result.details with every URL in it redacted, or removed when
+     * the report leaves URLs out (the referrer ends up in several detectors)
+     * @param {Object} details Detection details
+     * @param {Object} config Reporting options
+     * @returns {Object} Copy safe to report
+     * @private
+     */
+    _redactDetails: function(details, config) {
+        const redact = value => {
+            if (typeof value === 'string') {
+                if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+                    return value;
+                }
+                return config.includeUrl ? this._redactUrl(value, config.redactParams) : null;
+            }
+            if (Array.isArray(value)) {
+                return value.map(redact);
+            }
+            if (value && typeof value === 'object') {
+                const copy = {};
+                Object.keys(value).forEach(key => {
+                    copy[key] = redact(value[key]);
+                });
+                return copy;
+            }
+            return value;
+        };
+        return redact(details || {});
+    },
+
+    /**
+     * Reads the report queue, falling back to memory where localStorage is unavailable.
+     * Entries stored without an id get one.
+     * @returns {Array} Queue entries { id, report, attempts }
+     * @private
+     */
+    _readReportQueue: function() {
+        let queue;
+        try {
+            queue = JSON.parse(window.localStorage.getItem(this._reporting.config.storageKey));
+            queue = Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            return this._reporting.memoryQueue.slice();
+        }
+
+        if (queue.some(entry => !entry.id)) {
+            queue = queue.map(entry => (entry.id ? entry : Object.assign({ id: this._reportId() }, entry)));
+            this._writeReportQueue(queue);
+        }
+        return queue;
+    },
+
+    /**
+     * Generates a report queue entry id
+     * @returns {string} ID
+     * @private
+     */
+    _reportId: function() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    /**
+     * Writes the report queue
+     * @param {Array} queue Queue entries
+     * @private
+     */
+    _writeReportQueue: function(queue) {
+        this._reporting.memoryQueue = queue.slice();
+        try {
+            window.localStorage.setItem(this._reporting.config.storageKey, JSON.stringify(queue));
+        } catch (error) {
+            // Keep the in-memory copy only
+        }
     },
 
     /**
@@ -1084,92 +1915,403 @@ const AppDetection = {
     },
 
     /**
-     * Adds a custom "app-switch" HTTP header for server-side detection
-     * This must be called before any AJAX requests are made
+     * Observation options, see observe()
      */
-    setupServerDetection: function() {
-        const originalFetch = window.fetch;
-        const originalXHR = window.XMLHttpRequest.prototype.open;
-        const result = this.detect();
+    observeDefaults: {
+        // pageshow: back-forward cache restores, resize and orientationchange: the SFSafariViewController
+        // height ratio and iframe sizes, message: host apps and frames announcing bridges
+        events: ['pageshow', 'visibilitychange', 'resize', 'orientationchange', 'message'],
+        debounceMs: 150, // Resize and message events come in bursts, detect once they settle
+        maxWaitMs: 1000, // A burst that doesn't settle (a chatty frame, continuous resizing) still detects this often
+        // Messages that may announce a bridge: from the host app (no source), this window or the
+        // parent page. Messages from child frames and popups are their own business.
+        messageFilter: event => !event.source || event.source === window || event.source === window.parent,
+        emitInitial: false // Call back right away with the first result, diffed against nothing
+    },
 
-        // Override fetch to add headers
-        window.fetch = function(url, options = {}) {
-            if (!options.headers) {
-                options.headers = {};
+    /**
+     * Runs detect() again whenever the page's situation may have changed and
+     * calls back with what changed. pageshow is handled right away, the other
+     * events once they settle, and at least every maxWaitMs while they keep
+     * coming. Messages rejected by messageFilter are ignored. Nothing is called
+     * when the result is the same.
+     * @param {Function} callback Called with (changes, result, previous, event): changes
+     *     from diffResults(), the new and the previous result, and the event that triggered it
+     * @param {Object} options Options, see AppDetection.observeDefaults
+     * @returns {Function} Function that stops observing
+     */
+    observe: function(callback, options = {}) {
+        if (typeof callback !== 'function') {
+            throw new Error('observe() needs a callback function.');
+        }
+
+        const config = Object.assign({}, this.observeDefaults, options);
+        const state = { result: this.detect(), timer: null, pendingSince: null, stopped: false };
+
+        const emit = (changes, result, previous, event) => {
+            try {
+                callback(changes, result, previous, event);
+            } catch (error) {
+                console.error('Error in AppDetection observer:', error);
             }
+        };
 
-            // Add custom headers for server detection
-            options.headers['X-App-WebView'] = result.isInWebView;
-            options.headers['X-Android-CustomTab'] = result.isAndroidCustomTab;
-            options.headers['X-Safari-ViewController'] = result.isSafariViewController;
-            options.headers['X-In-Iframe'] = result.isInIframe;
-            if (result.detectedApp) {
-                options.headers['X-App-Name'] = result.detectedApp;
+        const evaluate = event => {
+            state.timer = null;
+            state.pendingSince = null;
+            if (state.stopped) {
+                return;
             }
-            if (result.detectedBrowser) {
-                options.headers['X-Detected-Browser'] = result.detectedBrowser;
+            const previous = state.result;
+            const result = this.detect();
+            const changes = this.diffResults(previous, result);
+            state.result = result;
+            if (Object.keys(changes).length) {
+                emit(changes, result, previous, event);
             }
+        };
 
-            // Determine platform
-            let platform = 'Browser';
-            if (result.isInAndroidWebView || result.isAndroidCustomTab) {
-                platform = 'Android';
-            } else if (result.isInIOSWebView || result.isSafariViewController) {
-                platform = 'iOS';
-            } else if (result.details.userAgent && result.details.userAgent.isAndroid) {
-                platform = 'Android';
-            } else if (result.details.userAgent && result.details.userAgent.isIOS) {
-                platform = 'iOS';
+        const onEvent = event => {
+            if (event.type === 'message' && config.messageFilter && !config.messageFilter(event)) {
+                return;
             }
+            clearTimeout(state.timer);
+            if (event.type === 'pageshow' || !config.debounceMs) {
+                evaluate(event);
+                return;
+            }
+
+            // Debounce, but don't let a steady stream of events postpone detection forever
+            const now = Date.now();
+            state.pendingSince = state.pendingSince || now;
+            const wait = Math.min(config.debounceMs, Math.max(0, state.pendingSince + config.maxWaitMs - now));
+            state.timer = setTimeout(() => evaluate(event), wait);
+        };
+
+        // visibilitychange fires on the document, the other events on the window
+        const targetOf = type => (type === 'visibilitychange' ? document : window);
+        config.events.forEach(type => targetOf(type).addEventListener(type, onEvent));
 
-            options.headers['X-App-Platform'] = platform;
+        if (config.emitInitial) {
+            emit(this.diffResults(null, state.result), state.result, null, null);
+        }
 
-            return originalFetch.call(this, url, options);
+        return () => {
+            state.stopped = true;
+            clearTimeout(state.timer);
+            config.events.forEach(type => targetOf(type).removeEventListener(type, onEvent));
         };
+    },
 
-        // Override XMLHttpRequest to add headers
-        window.XMLHttpRequest.prototype.open = function() {
-            const xhr = this;
-            const args = arguments;
-            const method = args[0];
-            const url = args[1];
-
-            originalXHR.apply(xhr, args);
-
-            xhr.addEventListener('readystatechange', function() {
-                if (xhr.readyState === 1) { // OPENED
-                    xhr.setRequestHeader('X-App-WebView', result.isInWebView);
-                    xhr.setRequestHeader('X-Android-CustomTab', result.isAndroidCustomTab);
-                    xhr.setRequestHeader('X-Safari-ViewController', result.isSafariViewController);
-                    xhr.setRequestHeader('X-In-Iframe', result.isInIframe);
-                    if (result.detectedApp) {
-                        xhr.setRequestHeader('X-App-Name', result.detectedApp);
-                    }
-                    if (result.detectedBrowser) {
-                        xhr.setRequestHeader('X-Detected-Browser', result.detectedBrowser);
-                    }
+    /**
+     * Compares two detection results. details is left out: it holds raw
+     * measurements that change without changing the outcome.
+     * @param {Object|null} previous Earlier result, null to list every field of current
+     * @param {Object} current Later result
+     * @returns {Object} { previous, current } keyed by dotted path, e.g. "isInIframe",
+     *     "browser.version" or "scores.webview"; arrays are compared as a whole
+     */
+    diffResults: function(previous, current) {
+        const changes = {};
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        const compare = (before, after, prefix) => {
+            const keys = Object.keys(Object.assign({}, before, after));
+            keys.forEach(key => {
+                if (!prefix && key === 'details') {
+                    return;
+                }
+                const path = prefix ? `${prefix}.${key}` : key;
+                const a = before ? before[key] : undefined;
+                const b = after ? after[key] : undefined;
+                if (isObject(a) && isObject(b)) {
+                    compare(a, b, path);
+                } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+                    changes[path] = {
+                        previous: a === undefined ? null : a,
+                        current: b === undefined ? null : b
+                    };
+                }
+            });
+        };
 
-                    // Determine platform
-                    let platform = 'Browser';
-                    if (result.isInAndroidWebView || result.isAndroidCustomTab) {
-                        platform = 'Android';
-                    } else if (result.isInIOSWebView || result.isSafariViewController) {
-                        platform = 'iOS';
-                    } else if (result.details.userAgent && result.details.userAgent.isAndroid) {
-                        platform = 'Android';
-                    } else if (result.details.userAgent && result.details.userAgent.isIOS) {
-                        platform = 'iOS';
-                    }
+        compare(previous, current, '');
+        return changes;
+    },
+
+    /**
+     * Server detection options, see setupServerDetection()
+     */
+    serverDetectionDefaults: {
+        origins: null, // Origins that receive the detection; null means this page's origin only, ['*'] means all
+        transport: 'headers', // 'headers' (X-App-*), 'client-hint' (one App-Environment header) or 'cookie'
+        headerName: 'App-Environment', // Header used by the 'client-hint' transport
+        cookieName: 'app_environment', // Cookie used by the 'cookie' transport
+        cookieMaxAge: 60 * 60, // Cookie lifetime in seconds
+        observe: true // Keep the result current with observe(), e.g. after a back-forward cache restore
+    },
+
+    /**
+     * Server detection state: config, result, original fetch/XHR and listeners
+     * @private
+     */
+    _serverDetection: null,
+
+    /**
+     * Tells the server about the detected environment on this page's requests.
+     * fetch() (any input: URL, string or Request; headers as object, array or
+     * Headers) and XMLHttpRequest get the headers only for allowed origins, so
+     * third parties don't see them or get an extra CORS preflight. The
+     * 'cookie' transport patches nothing and is scoped by the browser.
+     * Calling it again replaces the previous setup.
+     * This must be called before any AJAX requests are made
+     * @param {Object} options Options, see AppDetection.serverDetectionDefaults
+     * @returns {Object} The headers (or Cookie) that will be sent
+     */
+    setupServerDetection: function(options = {}) {
+        this.teardownServerDetection();
+
+        const config = Object.assign({}, this.serverDetectionDefaults, options);
+        if (!['headers', 'client-hint', 'cookie'].includes(config.transport)) {
+            throw new Error(`Unknown server detection transport: ${config.transport}`);
+        }
 
-                    xhr.setRequestHeader('X-App-Platform', platform);
+        const state = {
+            config: config,
+            active: true,
+            result: this.detect(),
+            originalFetch: null,
+            originalOpen: null,
+            fetch: null,
+            open: null,
+            stopObserving: null
+        };
+        this._serverDetection = state;
+
+        if (config.transport === 'cookie') {
+            this._writeEnvironmentCookie(state);
+        } else {
+            this._patchRequests(state);
+        }
+
+        if (config.observe) {
+            state.stopObserving = this.observe((changes, result) => {
+                state.result = result;
+                if (config.transport === 'cookie') {
+                    this._writeEnvironmentCookie(state);
                 }
             });
+        }
+
+        return this._serverDetectionFields(state);
+    },
+
+    /**
+     * Undoes setupServerDetection(): restores fetch and XMLHttpRequest, removes
+     * the cookie and stops observing. When another script has wrapped
+     * fetch since, the wrapper stays in place but no longer adds headers.
+     */
+    teardownServerDetection: function() {
+        const state = this._serverDetection;
+        if (!state) {
+            return;
+        }
+
+        state.active = false;
+        if (state.fetch && window.fetch === state.fetch) {
+            window.fetch = state.originalFetch;
+        }
+        if (state.open && window.XMLHttpRequest.prototype.open === state.open) {
+            window.XMLHttpRequest.prototype.open = state.originalOpen;
+        }
+        if (state.config.transport === 'cookie') {
+            document.cookie = `${state.config.cookieName}=; path=/; max-age=0; SameSite=Lax`;
+        }
+        if (state.stopObserving) {
+            state.stopObserving();
+        }
+        this._serverDetection = null;
+    },
+
+    /**
+     * Returns the X-App-* headers describing a detection result
+     * @param {Object} result Detection result, detect() runs when omitted
+     * @returns {Object} Header values keyed by name
+     */
+    serverDetectionHeaders: function(result = this.detect()) {
+        const headers = {
+            'X-App-WebView': String(result.isInWebView),
+            'X-Android-CustomTab': String(result.isAndroidCustomTab),
+            'X-Safari-ViewController': String(result.isSafariViewController),
+            'X-Android-TWA': String(result.isTrustedWebActivity),
+            'X-In-Iframe': String(result.isInIframe),
+            'X-App-Platform': this._platform(result)
+        };
+        if (result.detectedApp) {
+            headers['X-App-Name'] = result.detectedApp.name;
+        }
+        if (result.displayMode) {
+            headers['X-App-Display-Mode'] = result.displayMode;
+        }
+        if (result.launcher) {
+            headers['X-App-Launcher'] = result.launcher.package;
+            headers['X-App-Launcher-Via'] = result.launcher.via;
+        }
+        if (result.browser && result.browser.family) {
+            headers['X-Detected-Browser'] = result.browser.family;
+        }
+        return headers;
+    },
+
+    /**
+     * Serializes a detection result as a structured-header dictionary, the
+     * value of the 'client-hint' header and the 'cookie' transport, e.g.
+     * `webview=?1, custom-tab=?0, safari-view-controller=?0, twa=?0, iframe=?0, platform="Android", app="Facebook"`,
+     * followed by `display-mode="standalone"` and `launcher="com.example.app", launcher-via="referrer"` when known
+     * @param {Object} result Detection result, detect() runs when omitted
+     * @returns {string} Dictionary
+     */
+    serverDetectionValue: function(result = this.detect()) {
+        const flag = value => value ? '?1' : '?0';
+        const string = value => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+        const members = [
+            `webview=${flag(result.isInWebView)}`,
+            `custom-tab=${flag(result.isAndroidCustomTab)}`,
+            `safari-view-controller=${flag(result.isSafariViewController)}`,
+            `twa=${flag(result.isTrustedWebActivity)}`,
+            `iframe=${flag(result.isInIframe)}`,
+            `platform=${string(this._platform(result))}`
+        ];
+        if (result.detectedApp) {
+            members.push(`app=${string(result.detectedApp.name)}`);
+        }
+        if (result.displayMode) {
+            members.push(`display-mode=${string(result.displayMode)}`);
+        }
+        if (result.launcher) {
+            members.push(`launcher=${string(result.launcher.package)}`, `launcher-via=${string(result.launcher.via)}`);
+        }
+        return members.join(', ');
+    },
+
+    /**
+     * Wraps fetch and XMLHttpRequest.open to add the detection to allowed requests
+     * @param {Object} state Server detection state
+     * @private
+     */
+    _patchRequests: function(state) {
+        const self = this;
+        const originalFetch = window.fetch;
+        const originalOpen = window.XMLHttpRequest.prototype.open;
+
+        if (originalFetch) {
+            state.originalFetch = originalFetch;
+            state.fetch = function(input, init) {
+                const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+                const url = isRequest ? input.url : String(input);
+                if (!state.active || !self._isServerDetectionTarget(state, url)) {
+                    return originalFetch.apply(this, arguments);
+                }
+
+                // init.headers replaces the Request's headers, so start from those
+                const headers = new Headers(init && init.headers !== undefined ? init.headers :
+                    (isRequest ? input.headers : undefined));
+                const fields = self._serverDetectionFields(state);
+                Object.keys(fields).forEach(function(name) {
+                    if (!headers.has(name)) {
+                        headers.set(name, fields[name]);
+                    }
+                });
+                return originalFetch.call(this, input, Object.assign({}, init, { headers: headers }));
+            };
+            window.fetch = state.fetch;
+        }
+
+        state.originalOpen = originalOpen;
+        state.open = function(method, url) {
+            originalOpen.apply(this, arguments);
+            if (state.active && self._isServerDetectionTarget(state, url)) {
+                const fields = self._serverDetectionFields(state);
+                Object.keys(fields).forEach(name => this.setRequestHeader(name, fields[name]));
+            }
         };
+        window.XMLHttpRequest.prototype.open = state.open;
+    },
+
+    /**
+     * Returns the fields sent for the current result with the configured transport
+     * @param {Object} state Server detection state
+     * @returns {Object} Header (or Cookie) values keyed by name
+     * @private
+     */
+    _serverDetectionFields: function(state) {
+        const config = state.config;
+        if (config.transport === 'client-hint') {
+            return { [config.headerName]: this.serverDetectionValue(state.result) };
+        }
+        if (config.transport === 'cookie') {
+            return { Cookie: `${config.cookieName}=${encodeURIComponent(this.serverDetectionValue(state.result))}` };
+        }
+        return this.serverDetectionHeaders(state.result);
+    },
+
+    /**
+     * Checks a request URL against the allowed origins
+     * @param {Object} state Server detection state
+     * @param {string} url Request URL, may be relative
+     * @returns {boolean} True if the request should carry the detection
+     * @private
+     */
+    _isServerDetectionTarget: function(state, url) {
+        const origins = state.config.origins || [window.location.origin];
+        if (origins.includes('*')) {
+            return true;
+        }
+        try {
+            return origins.includes(new URL(url, window.location.href).origin);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Writes the detection cookie
+     * @param {Object} state Server detection state
+     * @private
+     */
+    _writeEnvironmentCookie: function(state) {
+        const config = state.config;
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        document.cookie = `${config.cookieName}=${encodeURIComponent(this.serverDetectionValue(state.result))}` +
+            `; path=/; max-age=${config.cookieMaxAge}; SameSite=Lax${secure}`;
+    },
+
+    /**
+     * Names the platform of a detection result
+     * @param {Object} result Detection result
+     * @returns {string} "Android", "iOS" or "Browser"
+     * @private
+     */
+    _platform: function(result) {
+        if (result.isInAndroidWebView || result.isAndroidCustomTab || result.isTrustedWebActivity) {
+            return 'Android';
+        } else if (result.isInIOSWebView || result.isSafariViewController) {
+            return 'iOS';
+        } else if (result.details.userAgent && result.details.userAgent.isAndroid) {
+            return 'Android';
+        } else if (result.details.userAgent && result.details.userAgent.isIOS) {
+            return 'iOS';
+        }
+        return 'Browser';
     }
 };
 
+AppDetection.loadSignatures(AppDetection.fallbackSignatures);
+
 // Export for CommonJS/ES modules
 if (typeof module !== 'undefined' && module.exports) {
+    // Node can read the database file directly
+    AppDetection.loadSignatures(require('./app-signatures.json'));
     module.exports = AppDetection;
 } else if (typeof define === 'function' && define.amd) {
     define([], function() { return AppDetection; });
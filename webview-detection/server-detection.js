@@ -0,0 +1,413 @@
+/**
+ * Server-Side App WebView Detection
+ *
+ * Node counterpart of AppDetection that classifies an HTTP request from its
+ * headers: User-Agent, Sec-CH-UA-* client hints, X-Requested-With (set to the
+ * app package by Android WebView) and the X-App-* headers, App-Environment
+ * header or app_environment cookie added by AppDetection.setupServerDetection(). Our Android apps can also
+ * name themselves with an X-App-Launcher header. Returns the same result shape as AppDetection.detect().
+ */
+
+const AppDetection = require('./app-detection.js');
+
+const ServerDetection = {
+    /**
+     * Evidence for server-only detection methods, added to AppDetection's scoring model
+     */
+    _evidence: {
+        'x_requested_with_package': { webview: 4, nativeBrowser: -4, customTab: -4 },
+        'client_hints_android_webview': { webview: 5, nativeBrowser: -5, customTab: -5 },
+        'client_hints_browser_brand': { nativeBrowser: 1.5, webview: -1 },
+        'client_reported_webview': { webview: 3, nativeBrowser: -3 },
+        'client_reported_custom_tab': { customTab: 4, nativeBrowser: -2 },
+        'client_reported_safari_view_controller': { safariViewController: 4, nativeBrowser: -2 },
+        'client_reported_trusted_web_activity': { trustedWebActivity: 5, customTab: -2, nativeBrowser: -3 },
+        'client_reported_iframe': { iframe: 6 }
+    },
+
+    /**
+     * Brands in Sec-CH-UA that identify a full browser app
+     */
+    _browserBrands: ['Google Chrome', 'Microsoft Edge', 'Samsung Internet', 'Opera', 'Brave', 'Yandex'],
+
+    /**
+     * Classifies a request from its headers
+     * @param {Object} headers Request headers (Node lower-cases header names)
+     * @returns {Object} Detection results in the AppDetection.detect() shape
+     */
+    detect: function(headers = {}) {
+        const ua = this._header(headers, 'user-agent') || '';
+        const result = {
+            isInWebView: false,
+            isInAndroidWebView: false,
+            isInIOSWebView: false,
+            isInNativeBrowser: false,
+            isAndroidCustomTab: false,
+            isSafariViewController: false,
+            isTrustedWebActivity: false,
+            isInIframe: false,
+            detectedApp: null,
+            browser: AppDetection.parseBrowser(ua),
+            displayMode: null, // Only known when the page reports it, see _detectByClientHeaders()
+            formFactor: this._formFactor(headers, ua),
+            launcher: null,
+            detectionResult: null,
+            detectionMethods: [],
+            details: {},
+            confidence: 0,
+            scores: {},
+            userAgent: ua
+        };
+
+        this._detectByUserAgent(ua, result);
+        this._detectByClientHints(headers, result);
+        this._detectByRequestedWith(headers, result);
+        this._detectByAppSpecificPatterns(ua, result);
+        this._detectByClientHeaders(headers, result);
+
+        const model = {
+            priors: AppDetection._scoringModel.priors,
+            evidence: Object.assign({}, AppDetection._scoringModel.evidence, this._evidence)
+        };
+        AppDetection._calculateConfidence(result, model);
+
+        const rule = AppDetection._matchPrecedenceRule(result);
+        if (rule) {
+            Object.assign(result, AppDetection._environmentFlags[rule.detectionResult], rule.flags || {});
+            result.detectionResult = rule.detectionResult;
+        } else {
+            result.isInWebView = result.scores.webview > 70;
+            result.detectionResult = result.isInWebView ? 'webview' : 'native-browser';
+        }
+
+        result.confidence = result.scores[AppDetection._resultEnvironments[result.detectionResult]];
+
+        return result;
+    },
+
+    /**
+     * Detect WebView and native browsers from the User-Agent header
+     * @param {string} ua User agent
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectByUserAgent: function(ua, result) {
+        const isAndroid = /Android/i.test(ua);
+        const isIOS = /iPhone|iPad|iPod/i.test(ua);
+        const isAndroidWebView = isAndroid && /; wv\)|\bwv\b/.test(ua);
+        const isAndroidOldWebView = isAndroid && !/Chrome\/\d+/.test(ua) && /Version\/\d+\.\d+/.test(ua);
+        const isIOSWebView = isIOS && /AppleWebKit/i.test(ua) && !/Safari/i.test(ua);
+
+        const isAndroidNativeBrowser = isAndroid && !isAndroidWebView && !isAndroidOldWebView &&
+            /Chrome|Firefox|SamsungBrowser|Edge|Opera|NAVER|Whale|DuckDuckGo/i.test(ua);
+        const isIOSNativeBrowser = isIOS && !isIOSWebView &&
+            /Safari|CriOS|FxiOS|OPiOS|EdgiOS|DuckDuckGo/i.test(ua);
+
+        const browser = result.browser;
+        const browserName = isAndroidNativeBrowser || isIOSNativeBrowser ? AppDetection._browserName(browser.family) : null;
+
+        if (isAndroidWebView) {
+            result.isInAndroidWebView = true;
+            result.detectionMethods.push('user_agent_android_wv_direct');
+        } else if (isAndroidOldWebView) {
+            result.isInAndroidWebView = true;
+            result.detectionMethods.push('user_agent_android');
+        }
+
+        if (isIOSWebView) {
+            result.isInIOSWebView = true;
+            result.detectionMethods.push('user_agent_ios');
+        }
+
+        if (isAndroidNativeBrowser || isIOSNativeBrowser) {
+            result.detectedApp = { name: browserName || 'Native Browser', version: browserName ? browser.version : null };
+            result.detectionMethods.push('native_browser');
+        }
+
+        result.details.userAgent = {
+            isAndroid: isAndroid,
+            isIOS: isIOS,
+            isAndroidWebView: isAndroidWebView,
+            isAndroidOldWebView: isAndroidOldWebView,
+            isIOSWebView: isIOSWebView,
+            isNativeBrowser: isAndroidNativeBrowser || isIOSNativeBrowser,
+            browserName: browserName
+        };
+    },
+
+    /**
+     * Detect Android WebView and browser brands from Sec-CH-UA client hints
+     * @param {Object} headers Request headers
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectByClientHints: function(headers, result) {
+        const brands = this._parseBrandList(this._header(headers, 'sec-ch-ua'));
+        const fullVersionList = this._parseBrandList(this._header(headers, 'sec-ch-ua-full-version-list'));
+        const platform = this._unquote(this._header(headers, 'sec-ch-ua-platform'));
+        const mobile = this._header(headers, 'sec-ch-ua-mobile');
+
+        const details = {
+            brands: brands,
+            fullVersionList: fullVersionList,
+            platform: platform,
+            platformVersion: this._unquote(this._header(headers, 'sec-ch-ua-platform-version')),
+            model: this._unquote(this._header(headers, 'sec-ch-ua-model')),
+            mobile: mobile === undefined ? null : mobile === '?1'
+        };
+
+        const brandNames = brands.map(brand => brand.brand);
+
+        if (brandNames.includes('Android WebView')) {
+            result.isInAndroidWebView = true;
+            result.detectionMethods.push('client_hints_android_webview');
+        } else if (brandNames.some(brand => this._browserBrands.includes(brand))) {
+            result.detectionMethods.push('client_hints_browser_brand');
+        }
+
+        result.details.clientHints = details;
+    },
+
+    /**
+     * Classifies the device from the user agent; Sec-CH-UA-Mobile tells phones
+     * that ask for desktop sites
+     * @param {Object} headers Request headers
+     * @param {string} ua User agent
+     * @returns {string} "phone", "tablet" or "desktop"
+     * @private
+     */
+    _formFactor: function(headers, ua) {
+        const formFactor = AppDetection._formFactor(ua);
+        return formFactor === 'desktop' && this._header(headers, 'sec-ch-ua-mobile') === '?1' ? 'phone' : formFactor;
+    },
+
+    /**
+     * Detect Android WebView from X-Requested-With, which WebView sets to the host app package
+     * @param {Object} headers Request headers
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectByRequestedWith: function(headers, result) {
+        const requestedWith = this._header(headers, 'x-requested-with');
+        const details = { value: requestedWith || null, package: null };
+
+        // jQuery-style AJAX requests use the same header
+        if (requestedWith && requestedWith !== 'XMLHttpRequest' && /^[a-z][\w]*(\.[\w]+)+$/i.test(requestedWith)) {
+            details.package = requestedWith;
+            result.isInAndroidWebView = true;
+            // The host app package is more specific than the browser name from the UA
+            result.detectedApp = { name: requestedWith, version: null };
+            result.detectionMethods.push('x_requested_with_package');
+        }
+
+        result.details.requestedWith = details;
+    },
+
+    /**
+     * Detect in-app browsers from the shared signature database
+     * @param {string} ua User agent
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectByAppSpecificPatterns: function(ua, result) {
+        const platform = result.details.userAgent.isAndroid ? 'android' :
+            (result.details.userAgent.isIOS ? 'ios' : null);
+        const details = {
+            signaturesVersion: AppDetection.signaturesVersion,
+            matches: []
+        };
+
+        AppDetection._signatures.forEach(signature => {
+            if (platform && signature.platforms.length && !signature.platforms.includes(platform)) {
+                return;
+            }
+            if (!signature.uaPatterns.some(pattern => pattern.test(ua))) {
+                return;
+            }
+
+            const versionMatch = signature.version ? ua.match(signature.version) : null;
+            details.matches.push({
+                id: signature.id,
+                name: signature.name,
+                version: versionMatch ? versionMatch[1] : null,
+                quirks: signature.quirks
+            });
+            result.detectionMethods.push(signature.method);
+        });
+
+        if (details.matches.length) {
+            const matched = details.matches[0];
+            result.detectedApp = { name: matched.name, version: matched.version };
+            details.matched = matched.id;
+            details.quirks = matched.quirks;
+        }
+
+        result.details.appSpecificPatterns = details;
+    },
+
+    /**
+     * Read what AppDetection.setupServerDetection() reported: the X-App-*
+     * headers, or the App-Environment header or cookie
+     * @param {Object} headers Request headers
+     * @param {Object} result The result object to update
+     * @private
+     */
+    _detectByClientHeaders: function(headers, result) {
+        const environment = this._parseEnvironment(this._header(headers, 'app-environment') ||
+            this._cookie(headers, 'app_environment'));
+        const reported = environment || {
+            webView: this._header(headers, 'x-app-webview'),
+            customTab: this._header(headers, 'x-android-customtab'),
+            safariViewController: this._header(headers, 'x-safari-viewcontroller'),
+            trustedWebActivity: this._header(headers, 'x-android-twa'),
+            inIframe: this._header(headers, 'x-in-iframe'),
+            appName: this._header(headers, 'x-app-name') || null,
+            platform: this._header(headers, 'x-app-platform') || null,
+            displayMode: this._header(headers, 'x-app-display-mode') || null,
+            launcher: this._header(headers, 'x-app-launcher') || null,
+            launcherVia: this._header(headers, 'x-app-launcher-via') || null
+        };
+
+        // A launcher without a source comes straight from our app's request header
+        const launcher = reported.launcher || this._header(headers, 'x-app-launcher');
+        if (launcher && AppDetection._isPackageName(launcher)) {
+            const via = ['referrer', 'query', 'header'].includes(reported.launcherVia) ? reported.launcherVia : 'header';
+            result.launcher = { package: launcher, via: via };
+            result.detectionMethods.push(`launcher_${via}`);
+        }
+
+        if (reported.trustedWebActivity === 'true') {
+            result.isTrustedWebActivity = true;
+            result.detectionMethods.push('client_reported_trusted_web_activity');
+        } else if (reported.customTab === 'true') {
+            result.isAndroidCustomTab = true;
+            result.detectionMethods.push('client_reported_custom_tab');
+        } else if (reported.safariViewController === 'true') {
+            result.isSafariViewController = true;
+            result.detectionMethods.push('client_reported_safari_view_controller');
+        } else if (reported.webView === 'true') {
+            if (reported.platform === 'iOS') {
+                result.isInIOSWebView = true;
+            } else {
+                result.isInAndroidWebView = true;
+            }
+            result.detectionMethods.push('client_reported_webview');
+        }
+
+        if (reported.inIframe === 'true') {
+            result.isInIframe = true;
+            result.detectionMethods.push('client_reported_iframe');
+        }
+
+        if (['browser', 'minimal-ui', 'standalone', 'fullscreen'].includes(reported.displayMode)) {
+            result.displayMode = reported.displayMode;
+        }
+
+        if (reported.appName && !result.detectedApp) {
+            result.detectedApp = { name: reported.appName, version: null };
+        }
+
+        result.details.clientHeaders = reported;
+    },
+
+    /**
+     * Parses the App-Environment dictionary written by AppDetection.serverDetectionValue(),
+     * e.g. `webview=?1, custom-tab=?0, platform="Android", app="Facebook"`
+     * @param {string} value Header or cookie value
+     * @returns {Object|null} Reported fields in the X-App-* form, or null when missing
+     * @private
+     */
+    _parseEnvironment: function(value) {
+        if (!value) {
+            return null;
+        }
+
+        const members = {};
+        const pattern = /([a-z-]+)=(\?[01]|"((?:[^"\\]|\\.)*)")/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            members[match[1]] = match[3] !== undefined ? match[3].replace(/\\(.)/g, '$1') : String(match[2] === '?1');
+        }
+
+        return {
+            webView: members['webview'],
+            customTab: members['custom-tab'],
+            safariViewController: members['safari-view-controller'],
+            trustedWebActivity: members['twa'],
+            inIframe: members['iframe'],
+            appName: members['app'] || null,
+            platform: members['platform'] || null,
+            displayMode: members['display-mode'] || null,
+            launcher: members['launcher'] || null,
+            launcherVia: members['launcher-via'] || null
+        };
+    },
+
+    /**
+     * Reads a cookie from the Cookie header
+     * @param {Object} headers Request headers
+     * @param {string} name Cookie name
+     * @returns {string|undefined} Decoded cookie value
+     * @private
+     */
+    _cookie: function(headers, name) {
+        const cookie = (this._header(headers, 'cookie') || '').split(';')
+            .map(part => part.trim())
+            .find(part => part.indexOf(`${name}=`) === 0);
+        if (!cookie) {
+            return undefined;
+        }
+        try {
+            return decodeURIComponent(cookie.slice(name.length + 1));
+        } catch (error) {
+            return undefined;
+        }
+    },
+
+    /**
+     * Parses a structured-header brand list such as `"Chromium";v="120", "Android WebView";v="120"`
+     * @param {string} value Header value
+     * @returns {Array} List of { brand, version }
+     * @private
+     */
+    _parseBrandList: function(value) {
+        if (!value) {
+            return [];
+        }
+
+        const brands = [];
+        const pattern = /"([^"]*)"\s*;\s*v\s*=\s*"([^"]*)"/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            brands.push({ brand: match[1], version: match[2] });
+        }
+        return brands;
+    },
+
+    /**
+     * Removes the quotes around a structured-header string
+     * @param {string} value Header value
+     * @returns {string|null} Unquoted value
+     * @private
+     */
+    _unquote: function(value) {
+        return value ? value.replace(/^"|"$/g, '') : null;
+    },
+
+    /**
+     * Reads a header case-insensitively
+     * @param {Object} headers Request headers
+     * @param {string} name Lower-case header name
+     * @returns {string|undefined} Header value
+     * @private
+     */
+    _header: function(headers, name) {
+        if (headers[name] !== undefined) {
+            return Array.isArray(headers[name]) ? headers[name].join(', ') : headers[name];
+        }
+        const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+        return key ? headers[key] : undefined;
+    }
+};
+
+module.exports = ServerDetection;
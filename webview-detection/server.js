@@ -0,0 +1,344 @@
+/**
+ * WebView Detection Demo Server
+ *
+ * Serves the webview-detection demo pages and the endpoints they link to:
+ *
+ *   GET  /api/detect         Server-side detection of the current request
+ *   POST /api/report         Store client detection reports (one, or a batch { reports: [...] })
+ *                            and compare them with the server's view
+ *   GET  /api/report         List stored reports
+ *   DELETE /api/report       Clear stored reports
+ *   GET  /server-detection   Server-rendered detection page
+ *
+ * Usage: node webview-detection/server.js [port]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ServerDetection = require('./server-detection.js');
+
+const MAX_REPORTS = 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Ask Chromium browsers for the high-entropy hints on subsequent requests
+const ACCEPT_CH = [
+    'Sec-CH-UA-Platform-Version',
+    'Sec-CH-UA-Model',
+    'Sec-CH-UA-Full-Version-List',
+    'Sec-CH-UA-Arch',
+    'Sec-CH-UA-Bitness',
+    'Sec-CH-UA-WoW64',
+    'Sec-CH-Viewport-Width',
+    'Sec-CH-Viewport-Height',
+    'Sec-CH-Device-Memory',
+    'Sec-CH-DPR',
+    'Sec-CH-Width',
+    'Sec-CH-Prefers-Color-Scheme',
+    'Sec-CH-Prefers-Reduced-Motion'
+].join(', ');
+
+const reports = [];
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status
+ * @param {*} body Value to serialize
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Accept-CH': ACCEPT_CH
+    });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Checks a POST /api/report body and returns the reports it carries
+ * @param {*} body Parsed JSON body: one report, or a batch { reports: [...] }
+ * @returns {Array} Reports
+ * @throws {Error} If the body or one of its reports is not a JSON object
+ */
+function reportBatch(body) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(body)) {
+        throw new Error('Request body must be a report object or { reports: [...] }.');
+    }
+    // AppDetection.reportToServer() sends batches: { reports: [...] }
+    if (!('reports' in body)) {
+        return [body];
+    }
+    if (!Array.isArray(body.reports)) {
+        throw new Error('"reports" must be an array of report objects.');
+    }
+    body.reports.forEach(function(report, index) {
+        if (!isObject(report)) {
+            throw new Error(`reports[${index}] must be a report object.`);
+        }
+    });
+    return body.reports;
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise} Promise resolving to the parsed body
+ */
+function readJsonBody(req) {
+    return new Promise(function(resolve, reject) {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', function(chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, function(char) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char];
+    });
+}
+
+/**
+ * Renders the server-side detection page
+ * @param {Object} result Server detection result
+ * @returns {string} HTML
+ */
+function renderDetectionPage(result) {
+    const appName = result.detectedApp ?
+        [result.detectedApp.name, result.detectedApp.version].filter(Boolean).join(' ') : 'Not detected';
+    const rows = [
+        ['Environment', result.detectionResult],
+        ['App Detected', appName],
+        ['Browser', result.browser.family ?
+            [result.browser.family, result.browser.version, result.browser.engine].filter(Boolean).join(' ') : 'Unknown'],
+        ['Form Factor', result.formFactor],
+        ['Launched By', result.launcher ? `${result.launcher.package} (${result.launcher.via})` : 'Not detected'],
+        ['Confidence', `${result.confidence}%`],
+        ['Detection Methods', result.detectionMethods.join(', ') || 'none'],
+        ['User Agent', result.userAgent]
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Server-Side WebView Detection</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 20px; line-height: 1.6; }
+        table { border-collapse: collapse; width: 100%; }
+        td { border-bottom: 1px solid #eee; padding: 8px; vertical-align: top; word-break: break-word; }
+        td:first-child { font-weight: 500; width: 30%; }
+        pre { background: #f0f0f0; padding: 15px; border-radius: 5px; overflow-x: auto; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <h1>Server-Side WebView Detection</h1>
+    <p>This page was classified on the server from the request headers only.</p>
+    <table>
+${rows.map(row => `        <tr><td>${escapeHtml(row[0])}</td><td>${escapeHtml(row[1])}</td></tr>`).join('\n')}
+    </table>
+    <h3>Technical Details</h3>
+    <pre>${escapeHtml(JSON.stringify(result, null, 2))}</pre>
+    <p><a href="/">Back to the demo</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * Handles the detection API routes
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {Object} options Route options
+ * @param {Function} options.onReport Called with each stored report
+ * @returns {boolean} True if the request was handled
+ */
+function handleDetectionRoutes(req, res, options = {}) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/detect' && req.method === 'GET') {
+        sendJson(res, 200, ServerDetection.detect(req.headers));
+        return true;
+    }
+
+    if (url.pathname === '/api/report' && req.method === 'GET') {
+        sendJson(res, 200, { count: reports.length, reports: reports });
+        return true;
+    }
+
+    if (url.pathname === '/api/report' && req.method === 'DELETE') {
+        const cleared = reports.splice(0, reports.length).length;
+        sendJson(res, 200, { cleared: cleared });
+        return true;
+    }
+
+    if (url.pathname === '/api/report' && req.method === 'POST') {
+        readJsonBody(req)
+            .then(function(body) {
+                const batch = reportBatch(body);
+                const server = ServerDetection.detect(req.headers);
+                const stored = batch.map(function(client) {
+                    const detection = client.detection || null;
+                    const report = {
+                        receivedAt: new Date().toISOString(),
+                        client: client,
+                        server: server,
+                        agreement: detection ? detection.detectionResult === server.detectionResult : null
+                    };
+
+                    reports.push(report);
+                    if (reports.length > MAX_REPORTS) {
+                        reports.shift();
+                    }
+                    if (options.onReport) {
+                        options.onReport(report);
+                    }
+                    return report;
+                });
+
+                if (!Array.isArray(body.reports)) {
+                    sendJson(res, 200, {
+                        received: true,
+                        serverDetectionResult: server.detectionResult,
+                        agreement: stored[0].agreement
+                    });
+                    return;
+                }
+                sendJson(res, 200, {
+                    received: stored.length,
+                    serverDetectionResult: server.detectionResult,
+                    agreement: stored.map(report => report.agreement)
+                });
+            })
+            .catch(function(error) {
+                sendJson(res, 400, { error: error.message });
+            });
+        return true;
+    }
+
+    if (url.pathname === '/server-detection' && req.method === 'GET') {
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Accept-CH': ACCEPT_CH
+        });
+        res.end(renderDetectionPage(ServerDetection.detect(req.headers)));
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Serves a file from a directory, refusing paths outside it and dot-paths other than .well-known
+ * @param {string} root Directory to serve
+ * @param {string} pathname URL path relative to the root
+ * @param {http.ServerResponse} res Response
+ */
+function serveStatic(root, pathname, res) {
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+
+    // Dot-paths such as .git/ are not part of the site; .well-known holds the app association files
+    const hasDotSegment = relativePath.split(/[\\/]/).some(function(segment) {
+        return segment.startsWith('.') && segment !== '.well-known';
+    });
+
+    let filePath = path.join(root, relativePath);
+    if (hasDotSegment || (filePath !== root && !filePath.startsWith(root + path.sep))) {
+        res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.stat(filePath, function(statError, stats) {
+        if (!statError && stats.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, function(readError, data) {
+            if (readError) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                'Accept-CH': ACCEPT_CH
+            });
+            res.end(data);
+        });
+    });
+}
+
+/**
+ * Creates the demo server
+ * @returns {http.Server} The (not yet listening) server
+ */
+function createServer() {
+    return http.createServer(function(req, res) {
+        if (handleDetectionRoutes(req, res)) {
+            return;
+        }
+        serveStatic(__dirname, new URL(req.url, 'http://localhost').pathname, res);
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '3000', 10);
+    createServer().listen(port, function() {
+        console.log(`WebView detection demo running at http://localhost:${port}/`);
+    });
+}
+
+module.exports = {
+    ACCEPT_CH: ACCEPT_CH,
+    createServer: createServer,
+    handleDetectionRoutes: handleDetectionRoutes,
+    serveStatic: serveStatic,
+    sendJson: sendJson,
+    readJsonBody: readJsonBody,
+    escapeHtml: escapeHtml
+};
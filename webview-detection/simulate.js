@@ -0,0 +1,371 @@
+/**
+ * AppDetection Environment Simulator
+ *
+ * Runs AppDetection.detect() under Node against emulated host environments
+ * (in-app WebViews, Custom Tabs, SFSafariViewController, iframes...) described
+ * in environment-profiles.json, and checks each result against the profile's
+ * expectations. Run it after changing a detector or app-signatures.json.
+ *
+ * Each profile is run in a fresh VM context whose global object plays the
+ * browser window: navigator.userAgent, document.referrer, history.length,
+ * performance.navigation, screen and viewport sizes, touch points, window.opener, frame
+ * nesting, display mode, meta tags, web storage (sessionStorage can start
+ * with a profile's "sessionStorage" entries) and injected bridge globals such
+ * as webkit.messageHandlers or ReactNativeWebView.
+ *
+ * A profile's "knownIssues" maps expected keys to a note on a detector bug that
+ * is not fixed yet. The note is printed with the mismatch, which still fails
+ * the run: a known issue is a bug to fix, not an expectation to skip.
+ *
+ * Usage:
+ *   node webview-detection/simulate.js              Run all profiles, exit code 1 on any mismatch
+ *   node webview-detection/simulate.js <id>...      Run the given profiles
+ *   node webview-detection/simulate.js --list       List the profiles
+ *   node webview-detection/simulate.js --json <id>  Print the full detection results as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROFILES_FILE = path.join(__dirname, 'environment-profiles.json');
+const DETECTION_SOURCE = path.join(__dirname, 'app-detection.js');
+const SIGNATURES = require('./app-signatures.json');
+
+let detectionScript = null;
+
+/**
+ * Reads the profile database and applies its defaults to every profile
+ * @param {string} file Path of the JSON database
+ * @returns {Array} Profiles
+ */
+function loadProfiles(file = PROFILES_FILE) {
+    const database = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(database.profiles)) {
+        throw new Error(`Invalid profile database ${file}: missing "profiles" list.`);
+    }
+
+    const ids = {};
+    return database.profiles.map(function(profile) {
+        if (!profile.id || !profile.userAgent || !profile.expected) {
+            throw new Error(`Profile ${profile.id || '(unnamed)'} needs an id, a userAgent and expected values.`);
+        }
+        if (ids[profile.id]) {
+            throw new Error(`Duplicate profile id: ${profile.id}`);
+        }
+        ids[profile.id] = true;
+        return Object.assign({}, database.defaults, profile);
+    });
+}
+
+/**
+ * Defines a value at a dotted path, creating the objects on the way
+ * @param {Object} target Object to define on
+ * @param {string} dottedPath Path such as "webkit.messageHandlers"
+ * @param {*} value Value of the last segment
+ */
+function definePath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    keys.slice(0, -1).forEach(function(key) {
+        if (!target[key] || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Builds the window of a profile as a VM context
+ * @param {Object} profile Environment profile
+ * @returns {Object} Contextified global object
+ */
+function createEnvironment(profile) {
+    const location = new URL(profile.url);
+    const logs = [];
+
+    const sandbox = {
+        console: {
+            log: function() {},
+            warn: function() {},
+            error: function() {
+                logs.push(Array.prototype.join.call(arguments, ' '));
+            }
+        },
+        URL: URL,
+        URLSearchParams: URLSearchParams,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        Promise: Promise,
+        location: {
+            href: location.href,
+            origin: location.origin,
+            protocol: location.protocol,
+            host: location.host,
+            hostname: location.hostname,
+            port: location.port,
+            pathname: location.pathname,
+            search: location.search,
+            hash: location.hash
+        },
+        navigator: {
+            userAgent: profile.userAgent,
+            maxTouchPoints: profile.maxTouchPoints,
+            cookieEnabled: true
+        },
+        document: {
+            referrer: profile.referrer,
+            querySelectorAll: function(selector) {
+                const prefix = /^meta\[name\^="([^"]+)"\]$/.exec(selector);
+                return profile.metaTags.filter(tag => prefix && tag.name.indexOf(prefix[1]) === 0)
+                    .map(metaElement);
+            },
+            querySelector: function(selector) {
+                const exact = /^meta\[name="([^"]+)"\]$/.exec(selector);
+                const tag = profile.metaTags.find(meta => exact && meta.name === exact[1]);
+                return tag ? metaElement(tag) : null;
+            }
+        },
+        history: {
+            length: profile.historyLength
+        },
+        performance: {
+            navigation: {
+                type: profile.navigationType
+            },
+            timing: {
+                navigationStart: 0,
+                domContentLoadedEventEnd: profile.domContentLoadedMs
+            }
+        },
+        screen: {
+            width: profile.screen[0],
+            height: profile.screen[1]
+        },
+        innerWidth: profile.viewport[0],
+        innerHeight: profile.viewport[1],
+        devicePixelRatio: profile.devicePixelRatio,
+        scrollY: 0,
+        opener: profile.opener ? {} : null,
+        matchMedia: function(query) {
+            const displayMode = /\(display-mode:\s*([a-z-]+)\)/.exec(query);
+            return {
+                media: query,
+                matches: displayMode ? displayMode[1] === profile.displayMode : false
+            };
+        },
+        addEventListener: function() {},
+        removeEventListener: function() {}
+    };
+
+    // "localStorage": false disables web storage altogether, as some WebViews do
+    [['localStorage', {}], ['sessionStorage', profile.sessionStorage || {}]].forEach(function(entry) {
+        const name = entry[0];
+        const storage = Object.assign({}, entry[1]);
+        if (profile.localStorage) {
+            sandbox[name] = {
+                getItem: key => (key in storage ? storage[key] : null),
+                setItem: (key, value) => {
+                    storage[key] = String(value);
+                },
+                removeItem: key => {
+                    delete storage[key];
+                }
+            };
+        } else {
+            Object.defineProperty(sandbox, name, {
+                get: function() {
+                    throw new Error(`SecurityError: ${name} is disabled`);
+                }
+            });
+        }
+    });
+
+    profile.navigatorFeatures.forEach(function(name) {
+        sandbox.navigator[name] = {};
+    });
+    profile.globals.forEach(function(name) {
+        definePath(sandbox, name, {});
+    });
+
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    if (profile.frame === 'top') {
+        sandbox.top = sandbox;
+        sandbox.parent = sandbox;
+    } else if (profile.frame === 'same-origin') {
+        sandbox.top = { location: sandbox.location };
+        sandbox.parent = sandbox.top;
+    } else if (profile.frame === 'cross-origin') {
+        // Reading the top window of a cross-origin parent can throw
+        Object.defineProperty(sandbox, 'top', {
+            get: function() {
+                throw new Error('SecurityError: Blocked a frame from accessing a cross-origin frame.');
+            }
+        });
+        sandbox.parent = {};
+    } else {
+        throw new Error(`Unknown frame "${profile.frame}" in profile ${profile.id}`);
+    }
+
+    vm.createContext(sandbox);
+    sandbox.__logs = logs;
+    return sandbox;
+}
+
+/**
+ * Builds a minimal <meta> element
+ * @param {Object} tag { name, content }
+ * @returns {Object} Element with getAttribute()
+ */
+function metaElement(tag) {
+    return {
+        name: tag.name,
+        getAttribute: name => (name === 'content' ? tag.content : (name === 'name' ? tag.name : null))
+    };
+}
+
+/**
+ * Reads a dotted path such as "detectedApp.name"
+ * @param {Object} object Object to read
+ * @param {string} dottedPath Path
+ * @returns {*} Value, undefined when missing
+ */
+function readPath(object, dottedPath) {
+    return dottedPath.split('.').reduce(function(value, key) {
+        return value === null || value === undefined ? undefined : value[key];
+    }, object);
+}
+
+/**
+ * Loads app-detection.js in a profile's environment, like a page including the script
+ * @param {Object|string} profile Environment profile, or the id of one in environment-profiles.json
+ * @param {Function} [setup] Called with the sandbox before the script runs, to stub
+ *     globals such as fetch or addEventListener
+ * @returns {Object} { AppDetection, sandbox }
+ */
+function loadDetection(profile, setup) {
+    if (typeof profile === 'string') {
+        const id = profile;
+        profile = loadProfiles().find(candidate => candidate.id === id);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+    }
+    if (!detectionScript) {
+        detectionScript = new vm.Script(fs.readFileSync(DETECTION_SOURCE, 'utf8'), { filename: DETECTION_SOURCE });
+    }
+
+    const sandbox = createEnvironment(profile);
+    if (setup) {
+        setup(sandbox);
+    }
+    detectionScript.runInContext(sandbox);
+    return { AppDetection: sandbox.AppDetection, sandbox: sandbox };
+}
+
+/**
+ * Runs AppDetection.detect() in a profile's environment
+ * @param {Object} profile Environment profile
+ * @returns {Object} { id, passed, mismatches, fixed, result, errors }
+ */
+function runProfile(profile) {
+    const loaded = loadDetection(profile);
+    const sandbox = loaded.sandbox;
+    const AppDetection = loaded.AppDetection;
+    AppDetection.loadSignatures(SIGNATURES);
+
+    // Round-trip through JSON so results from the VM compare like plain data
+    const result = JSON.parse(JSON.stringify(AppDetection.detect()));
+    const knownIssues = profile.knownIssues || {};
+    const mismatches = [];
+    const fixed = [];
+    Object.keys(profile.expected).forEach(function(key) {
+        const actual = readPath(result, key);
+        const expected = profile.expected[key];
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            mismatches.push({
+                key: key,
+                expected: expected,
+                actual: actual === undefined ? null : actual,
+                knownIssue: knownIssues[key] || null
+            });
+        } else if (knownIssues[key]) {
+            fixed.push(key);
+        }
+    });
+
+    return {
+        id: profile.id,
+        passed: mismatches.length === 0,
+        mismatches: mismatches,
+        fixed: fixed,
+        result: result,
+        errors: sandbox.__logs
+    };
+}
+
+/**
+ * Runs profiles and prints a report
+ * @param {Array} profiles Profiles to run
+ * @param {Object} options Options
+ * @param {boolean} options.json Print full results as JSON
+ * @returns {boolean} True if every profile passed
+ */
+function runProfiles(profiles, options = {}) {
+    const runs = profiles.map(runProfile);
+
+    if (options.json) {
+        console.log(JSON.stringify(runs, null, 2));
+    } else {
+        runs.forEach(function(run) {
+            console.log(`${run.passed ? 'ok  ' : 'FAIL'} ${run.id} -> ${run.result.detectionResult}` +
+                (run.result.detectedApp ? ` (${run.result.detectedApp.name})` : ''));
+            run.mismatches.forEach(function(mismatch) {
+                console.log(`       ${mismatch.knownIssue ? 'known issue: ' : ''}${mismatch.key}: ` +
+                    `expected ${JSON.stringify(mismatch.expected)}, got ${JSON.stringify(mismatch.actual)}` +
+                    (mismatch.knownIssue ? ` (${mismatch.knownIssue})` : ''));
+            });
+            run.fixed.forEach(function(key) {
+                console.log(`       ${key} now matches, remove it from knownIssues`);
+            });
+            run.errors.forEach(function(message) {
+                console.log(`       error: ${message}`);
+            });
+        });
+        const failed = runs.filter(run => !run.passed).length;
+        console.log(`\n${runs.length - failed} passed, ${failed} failed`);
+    }
+
+    return runs.every(run => run.passed);
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const profiles = loadProfiles();
+
+    if (args.includes('--list')) {
+        profiles.forEach(function(profile) {
+            console.log(`${profile.id.padEnd(32)} ${profile.description || ''}`);
+        });
+        process.exit(0);
+    }
+
+    const ids = args.filter(arg => arg.indexOf('--') !== 0);
+    const unknown = ids.filter(id => !profiles.some(profile => profile.id === id));
+    if (unknown.length) {
+        console.error(`Unknown profile: ${unknown.join(', ')}. Use --list to see the profiles.`);
+        process.exit(2);
+    }
+
+    const selected = ids.length ? profiles.filter(profile => ids.includes(profile.id)) : profiles;
+    process.exit(runProfiles(selected, { json: args.includes('--json') }) ? 0 : 1);
+}
+
+module.exports = {
+    loadProfiles: loadProfiles,
+    createEnvironment: createEnvironment,
+    loadDetection: loadDetection,
+    runProfile: runProfile,
+    runProfiles: runProfiles
+};
@@ -0,0 +1,84 @@
+/**
+ * Observation tests: observe() re-detects on the events that may change the
+ * result, without running detect() for unrelated or endless message traffic.
+ *
+ * Run with: node --test webview-detection/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const simulate = require('../simulate.js');
+
+
+/**
+ * Loads AppDetection in a Chrome on Android page that keeps its event listeners
+ * @returns {Object} { AppDetection, window, dispatch, detections }: dispatch(type, fields)
+ *     fires an event, detections() counts the detect() calls
+ */
+function load() {
+    const listeners = {};
+    const loaded = simulate.loadDetection('chrome-android', function(sandbox) {
+        sandbox.addEventListener = (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        };
+        sandbox.removeEventListener = (type, listener) => {
+            listeners[type] = (listeners[type] || []).filter(candidate => candidate !== listener);
+        };
+        sandbox.document.addEventListener = sandbox.addEventListener;
+        sandbox.document.removeEventListener = sandbox.removeEventListener;
+    });
+
+    const AppDetection = loaded.AppDetection;
+    const detect = AppDetection.detect;
+    let count = 0;
+    AppDetection.detect = function() {
+        count++;
+        return detect.apply(this, arguments);
+    };
+
+    return {
+        AppDetection: AppDetection,
+        // The window as seen by scripts in the context
+        window: vm.runInContext('window', loaded.sandbox),
+        dispatch: (type, fields) => (listeners[type] || []).forEach(listener => listener(Object.assign({ type: type }, fields))),
+        detections: () => count
+    };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('messages from child frames and popups are ignored', async function() {
+    const page = load();
+    const stop = page.AppDetection.observe(() => {}, { debounceMs: 10 });
+    assert.strictEqual(page.detections(), 1);
+
+    page.dispatch('message', { source: {}, data: 'frame chatter' });
+    await wait(30);
+    assert.strictEqual(page.detections(), 1);
+
+    page.dispatch('message', { source: null, data: 'host app' });
+    await wait(30);
+    assert.strictEqual(page.detections(), 2);
+
+    page.dispatch('message', { source: page.window, data: 'same window' });
+    await wait(30);
+    assert.strictEqual(page.detections(), 3);
+    stop();
+});
+
+test('a steady stream of events still detects every maxWaitMs', async function() {
+    const page = load();
+    const stop = page.AppDetection.observe(() => {}, { debounceMs: 40, maxWaitMs: 100 });
+
+    const timer = setInterval(() => page.dispatch('message', { source: null }), 10);
+    await wait(350);
+    clearInterval(timer);
+    stop();
+
+    // Debouncing alone would never settle; the stream is cut into roughly one detection per 100 ms
+    const detections = page.detections() - 1;
+    assert.ok(detections >= 2 && detections <= 4, `detected ${detections} times`);
+});
@@ -0,0 +1,78 @@
+/**
+ * Detector registry tests: registerDetector() either registers a detector
+ * completely or not at all.
+ *
+ * Run with: node --test webview-detection/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const simulate = require('../simulate.js');
+
+/**
+ * Loads AppDetection in a Chrome on Android page
+ * @returns {Object} AppDetection
+ */
+function load() {
+    return simulate.loadDetection('chrome-android').AppDetection;
+}
+
+/**
+ * Snapshot of the registry state
+ * @param {Object} AppDetection AppDetection
+ * @returns {string} Detector names, evidence keys and precedence rule names
+ */
+function registryState(AppDetection) {
+    return JSON.stringify({
+        detectors: AppDetection._detectors.map(detector => detector.name),
+        evidence: Object.keys(AppDetection._scoringModel.evidence),
+        rules: AppDetection._precedenceRules.map(rule => rule.name)
+    });
+}
+
+test('an unknown detectionResult leaves nothing registered', function() {
+    const AppDetection = load();
+    const before = registryState(AppDetection);
+
+    assert.throws(() => AppDetection.registerDetector('my_app', () => true, {
+        weight: { webview: 3 },
+        precedence: { rank: 95, detectionResult: 'my-app' }
+    }), /Unknown detectionResult/);
+    assert.strictEqual(registryState(AppDetection), before);
+
+    // The name is still free
+    AppDetection.registerDetector('my_app', () => true, { weight: 3 });
+    assert.ok(AppDetection._detectors.some(detector => detector.name === 'my_app'));
+});
+
+test('a weight for an unknown environment leaves nothing registered', function() {
+    const AppDetection = load();
+    const before = registryState(AppDetection);
+
+    assert.throws(() => AppDetection.registerDetector('my_app', () => true, {
+        weight: { webView: 3 },
+        precedence: { rank: 95 }
+    }), /Unknown environment "webView"/);
+    assert.throws(() => AppDetection.registerDetector('my_app', () => true, {
+        weight: { webview: '3' }
+    }), /must be a finite number/);
+    assert.strictEqual(registryState(AppDetection), before);
+});
+
+test('a registered detector scores and applies its precedence rule', function() {
+    const AppDetection = load();
+    AppDetection.registerDetector('my_app', () => ({ app: 'My App' }), {
+        weight: { webview: 8, nativeBrowser: -8 },
+        precedence: { rank: 95, flags: { detectedApp: { name: 'My App', version: null } } },
+        before: 'iframe'
+    });
+
+    const result = AppDetection.detect();
+    assert.strictEqual(result.detectionResult, 'webview');
+    assert.strictEqual(result.detectedApp.name, 'My App');
+    assert.deepStrictEqual(result.details.my_app, { app: 'My App' });
+    assert.ok(Number.isFinite(result.confidence));
+
+    assert.strictEqual(AppDetection.unregisterDetector('my_app'), true);
+    assert.strictEqual(AppDetection.detect().detectionResult, 'native-browser');
+});
@@ -0,0 +1,148 @@
+/**
+ * Reporting tests: the queued reports sent by AppDetection.reportToServer()
+ * must not leak sensitive URL parameters, wherever the URL ends up in the result.
+ *
+ * Run with: node --test webview-detection/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const simulate = require('../simulate.js');
+
+const SECRETS = ['EC-SECRET123', 'BA-SECRET456'];
+
+/**
+ * Loads AppDetection in a cross-origin iframe on Chrome for Android whose URL and
+ * referrer (the parent page) carry tokens
+ * @returns {Object} { AppDetection, sent }: sent collects the request bodies
+ */
+function loadWithTokens() {
+    const profile = simulate.loadProfiles().find(candidate => candidate.id === 'chrome-android-cross-origin-iframe');
+    const sent = [];
+    const loaded = simulate.loadDetection(Object.assign({}, profile, {
+        url: `https://merchant.example/checkout?token=${SECRETS[0]}#ba_token=${SECRETS[1]}`,
+        referrer: `https://www.paypal.com/checkoutnow?token=${SECRETS[0]}&ba_token=${SECRETS[1]}`
+    }), function(sandbox) {
+        sandbox.fetch = function(url, init) {
+            sent.push(init.body);
+            return Promise.resolve({ ok: true, status: 200 });
+        };
+    });
+    return { AppDetection: loaded.AppDetection, sent: sent, sandbox: loaded.sandbox };
+}
+
+/**
+ * Makes fetch() wait until the test answers
+ * @param {Object} loaded Result of loadWithTokens()
+ * @returns {Function} Function resolving the pending request with { ok, status }
+ */
+function holdFetch(loaded) {
+    let respond = null;
+    loaded.sandbox.fetch = function(url, init) {
+        loaded.sent.push(init.body);
+        return new Promise(resolve => {
+            respond = resolve;
+        });
+    };
+    return response => respond(response);
+}
+
+/**
+ * Queues one report and sends it
+ * @param {Object} options Reporting options
+ * @returns {Promise} Promise resolving to the sent body
+ */
+function sendReport(options) {
+    const loaded = loadWithTokens();
+    const result = loaded.AppDetection.detect();
+    assert.ok(JSON.stringify(result.details).includes(SECRETS[0]), 'the fixture should put the token in details');
+
+    return loaded.AppDetection.reportToServer('/api/report', Object.assign({ flushDelayMs: 60000 }, options))
+        .then(() => loaded.AppDetection.flushReports())
+        .then(() => {
+            clearTimeout(loaded.AppDetection._reporting.timer);
+            assert.strictEqual(loaded.sent.length, 1);
+            return loaded.sent[0];
+        });
+}
+
+function assertNoSecrets(body) {
+    SECRETS.forEach(secret => assert.ok(!body.includes(secret), `${secret} was sent: ${body}`));
+}
+
+test('reports leave details out by default', function() {
+    return sendReport({}).then(function(body) {
+        assertNoSecrets(body);
+        assert.strictEqual(JSON.parse(body).reports[0].detection.details, null);
+    });
+});
+
+test('includeUrl: false sends no token values', function() {
+    return sendReport({ includeUrl: false, includeDetails: true }).then(function(body) {
+        assertNoSecrets(body);
+        const report = JSON.parse(body).reports[0];
+        assert.strictEqual(report.url, null);
+        assert.strictEqual(report.detection.details.iframe.parentUrl, null);
+    });
+});
+
+test('details URLs are redacted like the page URL', function() {
+    return sendReport({ includeDetails: true }).then(function(body) {
+        assertNoSecrets(body);
+        const report = JSON.parse(body).reports[0];
+        assert.ok(report.url.includes('token=REDACTED'));
+        assert.ok(report.detection.details.iframe.parentUrl.includes('ba_token=REDACTED'));
+        assert.ok(report.detection.details.customTabs.referrer.includes('token=REDACTED'));
+    });
+});
+
+test('a pagehide during a flush leaves the batch in flight to the flush', async function() {
+    const loaded = loadWithTokens();
+    const AppDetection = loaded.AppDetection;
+    const respond = holdFetch(loaded);
+    const beacons = [];
+    loaded.sandbox.navigator.sendBeacon = function(url, blob) {
+        beacons.push(JSON.parse(blob.parts.join('')));
+        return true;
+    };
+    loaded.sandbox.Blob = function(parts) {
+        this.parts = parts;
+    };
+    const options = { flushDelayMs: 60000, batchSize: 2 };
+
+    await AppDetection.reportToServer('/api/report', options);
+    await AppDetection.reportToServer('/api/report', options);
+    const flushing = AppDetection.flushReports();
+    await AppDetection.reportToServer('/api/report', options);
+    AppDetection._reporting.onPageHide();
+
+    assert.strictEqual(beacons.length, 1);
+    assert.strictEqual(beacons[0].reports.length, 1);
+    respond({ ok: true, status: 200 });
+    assert.deepStrictEqual({ ...await flushing }, { sent: 2, remaining: 0 });
+    assert.strictEqual(AppDetection._readReportQueue().length, 0);
+});
+
+test('reports trimmed while a batch is out are matched by id', async function() {
+    for (const response of [{ ok: true, status: 200 }, { ok: false, status: 500 }]) {
+        const loaded = loadWithTokens();
+        const AppDetection = loaded.AppDetection;
+        const respond = holdFetch(loaded);
+        const options = { flushDelayMs: 60000, batchSize: 1, maxQueueSize: 2 };
+
+        await AppDetection.reportToServer('/api/report', options);
+        await AppDetection.reportToServer('/api/report', options);
+        const flushing = AppDetection.flushReports();
+        // The queue is now [second, third], then [third, fourth]: the batch in flight was trimmed
+        await AppDetection.reportToServer('/api/report', options);
+        await AppDetection.reportToServer('/api/report', options);
+        const unsent = Array.from(AppDetection._readReportQueue(), entry => entry.id);
+
+        respond(response);
+        await flushing;
+        clearTimeout(AppDetection._reporting.timer);
+        const queue = AppDetection._readReportQueue();
+        assert.deepStrictEqual(Array.from(queue, entry => entry.id), unsent, `after status ${response.status}`);
+        assert.deepStrictEqual(Array.from(queue, entry => entry.attempts), [0, 0], `after status ${response.status}`);
+    }
+});
@@ -0,0 +1,71 @@
+/**
+ * Scoring tests: every recorded user agent/feature fixture in
+ * environment-profiles.json is classified as expected, and the scoring model
+ * backs the classification with a consistent confidence.
+ *
+ * Run with: node --test webview-detection/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const simulate = require('../simulate.js');
+
+const PROFILES = simulate.loadProfiles();
+
+/**
+ * Loads AppDetection in a profile's environment
+ * @param {string} id Profile ID
+ * @returns {Object} AppDetection
+ */
+function load(id) {
+    return simulate.loadDetection(PROFILES.find(profile => profile.id === id)).AppDetection;
+}
+
+PROFILES.forEach(function(profile) {
+    test(`fixture ${profile.id} is classified as expected`, function() {
+        const run = simulate.runProfile(profile);
+        assert.deepStrictEqual(run.mismatches, [], profile.description);
+        assert.deepStrictEqual(run.errors, []);
+
+        // The environment we settled on is at least as likely as any other one
+        const scores = run.result.scores;
+        const environment = load(profile.id)._resultEnvironments[run.result.detectionResult];
+        assert.strictEqual(run.result.confidence, scores[environment]);
+        Object.keys(scores).forEach(function(other) {
+            assert.ok(Number.isInteger(scores[other]) && scores[other] >= 0 && scores[other] <= 100,
+                `${other} scored ${scores[other]}`);
+            if (other !== 'iframe') {
+                assert.ok(scores[environment] >= scores[other],
+                    `${environment} (${scores[environment]}) scored below ${other} (${scores[other]})`);
+            }
+        });
+    });
+});
+
+test('scores are the logistic of the prior plus the evidence weights', function() {
+    const AppDetection = load('chrome-android');
+    const result = { detectionMethods: ['a', 'b', 'unknown'], details: {} };
+    AppDetection._calculateConfidence(result, {
+        priors: { webview: -1, nativeBrowser: 0 },
+        evidence: {
+            a: { webview: 2 },
+            b: { webview: 1, nativeBrowser: -2 }
+        }
+    });
+
+    assert.strictEqual(result.scores.webview, Math.round(100 / (1 + Math.exp(-2))));
+    assert.strictEqual(result.scores.nativeBrowser, Math.round(100 / (1 + Math.exp(2))));
+    assert.strictEqual(result.details.scoring.contributions.length, 3);
+});
+
+test('an environment without a prior starts from even odds', function() {
+    const AppDetection = load('chrome-android');
+    const result = { detectionMethods: ['a'], details: {} };
+    AppDetection._calculateConfidence(result, {
+        priors: { webview: -1.5 },
+        evidence: { a: { kiosk: 2, webview: 1 } }
+    });
+
+    assert.strictEqual(result.scores.kiosk, Math.round(100 / (1 + Math.exp(-2))));
+    assert.strictEqual(result.scores.webview, Math.round(100 / (1 + Math.exp(0.5))));
+});
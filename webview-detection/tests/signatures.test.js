@@ -0,0 +1,40 @@
+/**
+ * Signature tests: the built-in fallback recognizes the main in-app browsers
+ * as soon as the library is loaded, and app-signatures.json replaces it.
+ *
+ * Run with: node --test webview-detection/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const simulate = require('../simulate.js');
+
+const DATABASE = require('../app-signatures.json');
+
+/**
+ * Loads AppDetection in a profile's environment, like a page including the script
+ * @param {string} id Profile ID
+ * @returns {Object} AppDetection
+ */
+function load(id) {
+    return simulate.loadDetection(id).AppDetection;
+}
+
+test('detect() recognizes in-app browsers before the database is loaded', function() {
+    const facebook = load('facebook-android').detect();
+    assert.strictEqual(facebook.detectionResult, 'webview');
+    assert.strictEqual(facebook.detectedApp.name, 'Facebook');
+
+    const wechat = load('wechat-ios').detect();
+    assert.strictEqual(wechat.detectedApp.name, 'WeChat');
+    assert.strictEqual(wechat.details.appSpecificPatterns.signaturesVersion, '1@builtin');
+});
+
+test('loading app-signatures.json replaces the fallback', async function() {
+    const AppDetection = load('facebook-android');
+    const count = await AppDetection.loadSignatures(DATABASE);
+
+    assert.strictEqual(count, DATABASE.apps.length);
+    assert.strictEqual(AppDetection.detect().details.appSpecificPatterns.signaturesVersion,
+        `${DATABASE.schemaVersion}@${DATABASE.updated}`);
+});